@@ -0,0 +1,197 @@
+"""Local user accounts for SmartTalk.
+
+Passwords are stored as salted PBKDF2 hashes; logging in hands out a random
+bearer token that the client sends as `Authorization: Bearer <token>`. Users and
+tokens live in USERS_FILE, tokens only as their SHA-256 hashes, so the file alone
+doesn't let anyone in. The first account registered becomes an admin; admins
+can promote others.
+
+Endpoints depend on `current_user` (any logged-in user) or `admin_user`.
+"""
+import hashlib
+import hmac
+import json
+import os
+import re
+import secrets
+import threading
+import time
+from datetime import datetime
+from pathlib import Path
+from typing import Dict, List, Optional
+
+from fastapi import Depends, Header, HTTPException
+
+USERS_FILE = Path("users.json")
+TOKEN_TTL = float(os.environ.get("TOKEN_TTL_HOURS", "168")) * 3600
+PASSWORD_ITERATIONS = 200_000
+MIN_PASSWORD_LENGTH = 8
+USERNAME_PATTERN = re.compile(r"^[A-Za-z0-9_.-]{3,32}$")
+ROLES = ["user", "admin"]
+# Problem ids remembered per user, so submissions can be checked against what was served
+MAX_SERVED_PER_USER = 500
+
+users_lock = threading.Lock()
+
+
+def _load() -> Dict:
+    """Load users and tokens — caller MUST hold users_lock."""
+    if USERS_FILE.exists():
+        try:
+            data = json.loads(USERS_FILE.read_text())
+        except json.JSONDecodeError:
+            return {"users": {}, "tokens": {}}
+        # Files from before tokens were hashed keep their sessions: hash those tokens now
+        data["tokens"] = {t if _is_token_hash(t) else _token_hash(t): v for t, v in data["tokens"].items()}
+        return data
+    return {"users": {}, "tokens": {}}
+
+
+def _save(data: Dict):
+    """Save users and tokens — caller MUST hold users_lock."""
+    USERS_FILE.write_text(json.dumps(data, indent=2))
+
+
+def _token_hash(token: str) -> str:
+    """The key a token is stored under."""
+    return hashlib.sha256(token.encode()).hexdigest()
+
+
+def _is_token_hash(key: str) -> bool:
+    return len(key) == 64 and all(c in "0123456789abcdef" for c in key)
+
+
+def hash_password(password: str, salt: Optional[str] = None) -> str:
+    salt = salt or secrets.token_hex(16)
+    digest = hashlib.pbkdf2_hmac("sha256", password.encode(), salt.encode(), PASSWORD_ITERATIONS).hex()
+    return f"pbkdf2_sha256${PASSWORD_ITERATIONS}${salt}${digest}"
+
+
+def verify_password(password: str, stored: str) -> bool:
+    try:
+        _, iterations, salt, digest = stored.split("$")
+    except ValueError:
+        return False
+    candidate = hashlib.pbkdf2_hmac("sha256", password.encode(), salt.encode(), int(iterations)).hex()
+    return hmac.compare_digest(candidate, digest)
+
+
+def public_user(user: Dict) -> Dict:
+    """The fields of a user that are safe to send to clients."""
+    return {"username": user["username"], "role": user["role"], "created_at": user["created_at"]}
+
+
+def _issue_token(data: Dict, username: str) -> str:
+    """Create a token for a user — caller MUST hold users_lock."""
+    now = time.time()
+    # Drop expired tokens while we're here
+    data["tokens"] = {t: v for t, v in data["tokens"].items() if v["expires_at"] > now}
+    token = secrets.token_urlsafe(32)
+    data["tokens"][_token_hash(token)] = {"username": username, "expires_at": now + TOKEN_TTL}
+    return token
+
+
+def register(username: str, password: str) -> Dict:
+    """Create an account and log it in. Returns {token, user}."""
+    username = username.strip()
+    if not USERNAME_PATTERN.match(username):
+        raise HTTPException(status_code=400, detail="Usernames are 3-32 letters, digits, '.', '_' or '-'")
+    if len(password) < MIN_PASSWORD_LENGTH:
+        raise HTTPException(status_code=400, detail=f"Passwords need at least {MIN_PASSWORD_LENGTH} characters")
+    key = username.lower()
+    with users_lock:
+        data = _load()
+        if key in data["users"]:
+            raise HTTPException(status_code=409, detail="That username is taken")
+        user = {
+            "username": username,
+            "password": hash_password(password),
+            "role": "admin" if not data["users"] else "user",
+            "created_at": datetime.now().isoformat(),
+            "served_problems": [],
+        }
+        data["users"][key] = user
+        token = _issue_token(data, key)
+        _save(data)
+    return {"token": token, "user": public_user(user)}
+
+
+def login(username: str, password: str) -> Dict:
+    """Check a username and password. Returns {token, user}."""
+    with users_lock:
+        data = _load()
+        user = data["users"].get(username.strip().lower())
+        if not user or not verify_password(password, user["password"]):
+            raise HTTPException(status_code=401, detail="Wrong username or password")
+        token = _issue_token(data, username.strip().lower())
+        _save(data)
+    return {"token": token, "user": public_user(user)}
+
+
+def logout(token: str):
+    with users_lock:
+        data = _load()
+        if data["tokens"].pop(_token_hash(token), None):
+            _save(data)
+
+
+def _bearer_token(authorization: Optional[str]) -> Optional[str]:
+    if authorization and authorization.lower().startswith("bearer "):
+        return authorization[7:].strip()
+    return None
+
+
+def current_user(authorization: Optional[str] = Header(None)) -> Dict:
+    """FastAPI dependency: the logged-in user (with their token), or 401."""
+    token = _bearer_token(authorization)
+    with users_lock:
+        data = _load()
+        entry = data["tokens"].get(_token_hash(token)) if token else None
+        user = data["users"].get(entry["username"]) if entry and entry["expires_at"] > time.time() else None
+    if not user:
+        raise HTTPException(status_code=401, detail="Please log in")
+    return {**public_user(user), "token": token}
+
+
+def admin_user(user: Dict = Depends(current_user)) -> Dict:
+    """FastAPI dependency: the logged-in user if they are an admin, otherwise 403."""
+    if user["role"] != "admin":
+        raise HTTPException(status_code=403, detail="Admins only")
+    return user
+
+
+def list_users() -> List[Dict]:
+    with users_lock:
+        data = _load()
+    return [public_user(u) for u in data["users"].values()]
+
+
+def set_role(username: str, role: str) -> Dict:
+    if role not in ROLES:
+        raise HTTPException(status_code=400, detail=f"Unknown role: {role}")
+    with users_lock:
+        data = _load()
+        user = data["users"].get(username.lower())
+        if not user:
+            raise HTTPException(status_code=404, detail=f"User {username} not found")
+        if user["role"] == "admin" and role != "admin" and sum(u["role"] == "admin" for u in data["users"].values()) == 1:
+            raise HTTPException(status_code=400, detail="Can't demote the last admin")
+        user["role"] = role
+        _save(data)
+    return public_user(user)
+
+
+def record_served(username: str, problem_ids: List[str]):
+    """Remember that these problems were handed to this user."""
+    with users_lock:
+        data = _load()
+        user = data["users"][username.lower()]
+        user["served_problems"] = (user["served_problems"] + problem_ids)[-MAX_SERVED_PER_USER:]
+        _save(data)
+
+
+def was_served(username: str, problem_id: Optional[str]) -> bool:
+    with users_lock:
+        data = _load()
+    user = data["users"].get(username.lower())
+    return bool(problem_id and user and problem_id in user["served_problems"])
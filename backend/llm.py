@@ -0,0 +1,212 @@
+"""LLM providers for SmartTalk.
+
+Pick one with LLM_PROVIDER in .env:
+  gemini  - Google Gemini (GOOGLE_API_KEY, GEMINI_MODEL)
+  openai  - any OpenAI-compatible chat completions server, e.g. Ollama, llama.cpp,
+            vLLM or LM Studio (OPENAI_BASE_URL, OPENAI_MODEL, OPENAI_API_KEY)
+  mock    - canned problems and feedback from fixtures, no network
+            (MOCK_FIXTURES_DIR, MOCK_STREAM_DELAY)
+Defaults to gemini. A provider that isn't configured (e.g. no API key) doesn't
+stop the server from starting; calls to it fail with LLMError instead.
+
+Every provider takes a prompt and a `kind` saying what it is for (problem, grade,
+give_up, hint, chat) and returns text; when a JSON schema is given the text is a
+JSON document. Only the mock looks at `kind`.
+"""
+import json
+import os
+import re
+import time
+import threading
+import urllib.error
+import urllib.request
+from pathlib import Path
+from typing import Dict, Iterator, Optional
+
+
+class LLMError(Exception):
+    """The provider is misconfigured or its backend failed."""
+
+
+class LLMProvider:
+    name = "base"
+
+    def configuration_error(self) -> Optional[str]:
+        """Why this provider can't be used (missing key, ...), or None if it's ready."""
+        return None
+
+    def generate(self, prompt: str, kind: str, schema: Optional[Dict] = None) -> str:
+        raise NotImplementedError
+
+    def stream(self, prompt: str, kind: str, schema: Optional[Dict] = None) -> Iterator[str]:
+        """Yield the response in pieces. Providers without streaming yield it whole."""
+        yield self.generate(prompt, kind, schema)
+
+    def _check_configured(self):
+        error = self.configuration_error()
+        if error:
+            raise LLMError(error)
+
+
+# ---------- Gemini ----------
+class GeminiProvider(LLMProvider):
+    name = "gemini"
+
+    def __init__(self):
+        self.api_key = os.environ.get("GOOGLE_API_KEY")
+        self.model = os.environ.get("GEMINI_MODEL", "gemini-3-pro-preview")
+        self._client = None
+
+    def configuration_error(self) -> Optional[str]:
+        return None if self.api_key else "GOOGLE_API_KEY not set!"
+
+    @property
+    def client(self):
+        self._check_configured()
+        if self._client is None:
+            # Imported here so the other providers work without google-genai installed
+            from google import genai
+            self._client = genai.Client(api_key=self.api_key)
+        return self._client
+
+    def _config(self, schema: Optional[Dict]):
+        if not schema:
+            return None
+        from google.genai import types
+        return types.GenerateContentConfig(response_mime_type="application/json", response_schema=schema)
+
+    def generate(self, prompt: str, kind: str, schema: Optional[Dict] = None) -> str:
+        response = self.client.models.generate_content(model=self.model, contents=prompt, config=self._config(schema))
+        return response.text
+
+    def stream(self, prompt: str, kind: str, schema: Optional[Dict] = None) -> Iterator[str]:
+        chunks = self.client.models.generate_content_stream(model=self.model, contents=prompt, config=self._config(schema))
+        for chunk in chunks:
+            if chunk.text:
+                yield chunk.text
+
+
+# ---------- OpenAI-compatible ----------
+def _schema_hint(schema: Dict) -> str:
+    return ("\n\nRespond with a single JSON document (no code fences, no other text) "
+            f"matching this schema:\n{json.dumps(schema)}")
+
+
+def _strip_code_fence(text: str) -> str:
+    """Local models often wrap JSON in ```json fences despite being asked not to."""
+    return re.sub(r'^\s*```(?:json)?\s*|\s*```\s*$', '', text)
+
+
+class OpenAICompatibleProvider(LLMProvider):
+    name = "openai"
+
+    def __init__(self):
+        self.base_url = os.environ.get("OPENAI_BASE_URL", "http://localhost:11434/v1").rstrip("/")
+        self.model = os.environ.get("OPENAI_MODEL", "")
+        self.api_key = os.environ.get("OPENAI_API_KEY", "")
+        self.timeout = float(os.environ.get("OPENAI_TIMEOUT", "300"))
+
+    def configuration_error(self) -> Optional[str]:
+        return None if self.model else "OPENAI_MODEL not set!"
+
+    def _request(self, prompt: str, schema: Optional[Dict], stream: bool):
+        self._check_configured()
+        body = {
+            "model": self.model,
+            "messages": [{"role": "user", "content": prompt + (_schema_hint(schema) if schema else "")}],
+            "stream": stream,
+        }
+        if schema:
+            body["response_format"] = {"type": "json_object"}
+        headers = {"Content-Type": "application/json"}
+        if self.api_key:
+            headers["Authorization"] = f"Bearer {self.api_key}"
+        request = urllib.request.Request(
+            f"{self.base_url}/chat/completions", data=json.dumps(body).encode(), headers=headers, method="POST",
+        )
+        try:
+            return urllib.request.urlopen(request, timeout=self.timeout)
+        except urllib.error.HTTPError as e:
+            raise LLMError(f"{self.base_url} returned {e.code}: {e.read().decode(errors='replace')[:200]}")
+        except urllib.error.URLError as e:
+            raise LLMError(f"Could not reach {self.base_url}: {e.reason}")
+
+    def generate(self, prompt: str, kind: str, schema: Optional[Dict] = None) -> str:
+        with self._request(prompt, schema, stream=False) as response:
+            data = json.loads(response.read())
+        text = data["choices"][0]["message"]["content"] or ""
+        return _strip_code_fence(text) if schema else text
+
+    def stream(self, prompt: str, kind: str, schema: Optional[Dict] = None) -> Iterator[str]:
+        with self._request(prompt, schema, stream=True) as response:
+            for raw in response:
+                line = raw.decode("utf-8").strip()
+                if not line.startswith("data:"):
+                    continue
+                data = line[5:].strip()
+                if data == "[DONE]":
+                    break
+                choices = json.loads(data).get("choices") or []
+                piece = choices[0].get("delta", {}).get("content") if choices else None
+                if piece:
+                    yield piece
+
+
+# ---------- Mock ----------
+class MockProvider(LLMProvider):
+    """Serves fixtures: problems.json (a list of generated problems, handed out in
+    turn among those of the difficulty asked for) and responses.json (the grading rubric and the give-up, hint and chat
+    replies). Same answers every run, so the whole app can be tested offline."""
+    name = "mock"
+
+    def __init__(self):
+        self.fixtures_dir = Path(os.environ.get("MOCK_FIXTURES_DIR", Path(__file__).parent / "fixtures" / "mock"))
+        self.stream_delay = float(os.environ.get("MOCK_STREAM_DELAY", "0.05"))
+        self._next_problem: Dict[str, int] = {}
+        self._lock = threading.Lock()
+
+    def configuration_error(self) -> Optional[str]:
+        missing = [f for f in ("problems.json", "responses.json") if not (self.fixtures_dir / f).exists()]
+        return f"Mock fixtures not found in {self.fixtures_dir}: {', '.join(missing)}" if missing else None
+
+    def _fixture(self, name: str):
+        return json.loads((self.fixtures_dir / name).read_text())
+
+    def generate(self, prompt: str, kind: str, schema: Optional[Dict] = None) -> str:
+        self._check_configured()
+        if kind == "problem":
+            problems = self._fixture("problems.json")
+            match = re.search(r"Generate an? (\w+)", prompt)
+            difficulty = match.group(1) if match else ""
+            problems = [p for p in problems if p.get("difficulty") == difficulty] or problems
+            with self._lock:
+                index = self._next_problem.get(difficulty, 0)
+                self._next_problem[difficulty] = index + 1
+            return json.dumps(problems[index % len(problems)])
+
+        responses = self._fixture("responses.json")
+        if kind not in responses:
+            raise LLMError(f"No mock response for '{kind}' in {self.fixtures_dir / 'responses.json'}")
+        response = responses[kind]
+        return response if isinstance(response, str) else json.dumps(response, indent=2)
+
+    def stream(self, prompt: str, kind: str, schema: Optional[Dict] = None) -> Iterator[str]:
+        text = self.generate(prompt, kind, schema)
+        for i in range(0, len(text), 24):
+            time.sleep(self.stream_delay)
+            yield text[i:i + 24]
+
+
+PROVIDERS = {
+    "gemini": GeminiProvider,
+    "openai": OpenAICompatibleProvider,
+    "mock": MockProvider,
+}
+
+
+def get_provider() -> LLMProvider:
+    """The provider chosen by LLM_PROVIDER (see the module docstring)."""
+    name = os.environ.get("LLM_PROVIDER", "gemini").strip().lower()
+    if name not in PROVIDERS:
+        raise ValueError(f"Unknown LLM_PROVIDER '{name}' (expected one of: {', '.join(PROVIDERS)})")
+    return PROVIDERS[name]()
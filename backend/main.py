@@ -1,34 +1,120 @@
-from fastapi import FastAPI, HTTPException, BackgroundTasks
+from fastapi import FastAPI, HTTPException, BackgroundTasks, Depends
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import StreamingResponse
 from pydantic import BaseModel
-from typing import Optional, Dict, List, Any
+from typing import Optional, Dict, List, Any, Tuple
+import ast
+import asyncio
 import json
 import os
+import queue
 import re
 import time
+import random
 import signal
 import threading
-import multiprocessing
+from collections import deque
 from pathlib import Path
 from datetime import datetime
 from dotenv import load_dotenv
-from google import genai
-from google.genai import types
+from llm import get_provider, LLMError
+import auth
+import sandbox
+from auth import current_user, admin_user
 
 # ---------- CONFIG ----------
 load_dotenv()
-API_KEY = os.environ.get("GOOGLE_API_KEY")
-
-if not API_KEY:
-    raise ValueError("GOOGLE_API_KEY not set!")
-
-client = genai.Client(api_key=API_KEY)
-PROBLEM_POOL_FILE = Path("problem_pool.json")
+# Gemini, an OpenAI-compatible server or the offline mock — see llm.py
+llm = get_provider()
+PROBLEM_BANK_FILE = Path("problem_bank.json")
+LEGACY_POOL_FILE = Path("problem_pool.json")  # imported into the bank on first run
+DIFFICULTIES = ["Easy", "Medium", "Hard", "Expert"]
 POOL_SIZE = 20
-TARGET_PER_DIFFICULTY = POOL_SIZE // 4
+TARGET_PER_DIFFICULTY = POOL_SIZE // len(DIFFICULTIES)
+# Quizzes default to one problem per difficulty; a custom mix can have up to this many
+MAX_QUIZ_PROBLEMS = 8
 MAX_WORKERS = 8
 MAX_GENERATION_RETRIES = 3
-CODE_EXECUTION_TIMEOUT = 5  # seconds
+CODE_EXECUTION_TIMEOUT = 5  # seconds, per test case (sandbox limits: see sandbox.py)
+
+# Server-side record of each quiz: which problems were issued, hints taken, the
+# interviewer chat and the scores. Oldest sessions are dropped past the cap.
+QUIZ_SESSIONS_FILE = Path("quiz_sessions.json")
+MAX_QUIZ_SESSIONS = 1000
+
+# Hidden tests: generated with each problem, checked against its reference
+# solution, and run on submit. Their pass rate makes up HIDDEN_TEST_WEIGHT of
+# the score (the grader's score the rest).
+HIDDEN_TEST_COUNT = 10
+MIN_HIDDEN_TESTS = 5
+HIDDEN_TEST_WEIGHT = 0.5
+
+# Languages a solution can be written in (id -> display name). Problems are
+# generated with a Python signature; the frontend derives JS/TS stubs from it.
+SUPPORTED_LANGUAGES = {"python": "Python", "javascript": "JavaScript", "typescript": "TypeScript"}
+
+# Structured grading: sub-scores (0-10) the grader gives, in display order
+RUBRIC_CRITERIA = {
+    "correctness": "Correctness",
+    "efficiency": "Efficiency",
+    "code_quality": "Code quality",
+    "edge_cases": "Edge-case handling",
+}
+ISSUE_SEVERITIES = ["error", "warning", "suggestion"]
+GRADING_SCHEMA = {
+    "type": "OBJECT",
+    "properties": {
+        "score": {"type": "INTEGER"},
+        "summary": {"type": "STRING"},
+        "criteria": {
+            "type": "OBJECT",
+            "properties": {key: {"type": "INTEGER"} for key in RUBRIC_CRITERIA},
+            "required": list(RUBRIC_CRITERIA),
+        },
+        "time_complexity": {"type": "STRING"},
+        "space_complexity": {"type": "STRING"},
+        "strengths": {"type": "ARRAY", "items": {"type": "STRING"}},
+        "issues": {
+            "type": "ARRAY",
+            "items": {
+                "type": "OBJECT",
+                "properties": {
+                    "line": {"type": "INTEGER"},
+                    "end_line": {"type": "INTEGER"},
+                    "severity": {"type": "STRING", "enum": ISSUE_SEVERITIES},
+                    "message": {"type": "STRING"},
+                },
+                "required": ["severity", "message"],
+            },
+        },
+    },
+    "required": ["score", "summary", "criteria", "time_complexity", "space_complexity", "strengths", "issues"],
+    # score and summary first, so the streaming endpoint can show them early
+    "property_ordering": ["score", "summary", "criteria", "time_complexity", "space_complexity", "strengths", "issues"],
+}
+
+# Topic tags a generated problem can carry
+TOPIC_TAGS = [
+    "arrays", "strings", "hash tables", "two pointers", "sliding window", "stacks", "queues",
+    "linked lists", "trees", "graphs", "heaps", "binary search", "sorting", "greedy",
+    "dynamic programming", "backtracking", "bit manipulation", "math", "intervals", "tries",
+]
+# A new problem is a duplicate of a banked one when their texts are at least this
+# similar (Jaccard similarity of word 3-grams), or at least
+# SAME_NAME_SIMILARITY_THRESHOLD similar with the same function name
+SIMILARITY_THRESHOLD = 0.5
+SAME_NAME_SIMILARITY_THRESHOLD = 0.25
+
+# Progressive hints: what each level reveals, and the points (out of 10) each one
+# costs. Override the costs with e.g. HINT_PENALTIES=1,2,3 in .env.
+HINT_LEVELS = {
+    1: "a nudge toward the right approach. Do NOT name specific data structures or algorithms, and do NOT write any code",
+    2: "the key data structure or algorithm to use and why it fits. Do NOT write any code or pseudocode",
+    3: "step-by-step pseudocode for the full solution. Do NOT write code in any real programming language",
+}
+HINT_PENALTIES = [int(p) for p in os.environ.get("HINT_PENALTIES", "1,2,3").split(",")]
+if len(HINT_PENALTIES) != len(HINT_LEVELS):
+    raise ValueError(f"HINT_PENALTIES must list {len(HINT_LEVELS)} comma-separated values")
 
 # ---------- FastAPI App ----------
 app = FastAPI(title="SmartTalk API")
@@ -45,16 +131,70 @@ app.add_middleware(
 
 # ---------- Thread Lock ----------
 file_lock = threading.Lock()
+sessions_lock = threading.Lock()
+# Quiz problems being graded right now, as (session_id, index). Kept in memory so
+# a restart can't leave one claimed for good.
+grading_problems = set()
+grading_lock = threading.Lock()
 
 # ---------- Generator State ----------
 generator_running = False
+# Problems a quiz asked for on topics the bank doesn't have yet: {(difficulty, topic): count}.
+# The generator works these off before topping up the pool.
+topic_requests: Dict[Tuple[str, str], int] = {}
+topic_requests_lock = threading.Lock()
+
+# The last GENERATION_LOG_SIZE generation attempts (oldest first) and the ones
+# still running, for the admin panel
+GENERATION_LOG_SIZE = 50
+generation_log = deque(maxlen=GENERATION_LOG_SIZE)
+active_generations: List[Dict] = []
+generation_log_lock = threading.Lock()
+
+# Bumped on every change to the bank, the generator or its log; /pool/events
+# sends a fresh status whenever it moves
+pool_version = 0
+pool_version_lock = threading.Lock()
+
+def pool_changed():
+    global pool_version
+    with pool_version_lock:
+        pool_version += 1
 
 # ---------- Models ----------
+class ChatMessage(BaseModel):
+    role: str  # "user" or "interviewer"
+    content: str
+
 class CodeSubmission(BaseModel):
     code: str
     problem_index: int
     problem: str
     func_signature: str
+    language: str = "python"
+    chat: List[ChatMessage] = []  # conversation with the interviewer while solving
+    problem_id: Optional[str] = None  # from /quiz/start or /practice/problem, to run hidden tests
+
+class QuizSubmission(BaseModel):
+    """A quiz answer. The problem, signature and interviewer chat come from the session."""
+    session_id: str
+    problem_index: int
+    code: str
+    language: str = "python"
+
+class ChatRequest(BaseModel):
+    session_id: str
+    problem_index: int
+    code: str
+    message: str
+    language: str = "python"
+
+class HintRequest(BaseModel):
+    session_id: str
+    problem_index: int
+    code: str
+    level: int
+    language: str = "python"
 
 class TestCase(BaseModel):
     input: str
@@ -64,60 +204,245 @@ class RunTestsRequest(BaseModel):
     code: str
     func_signature: str
     test_cases: List[TestCase]
+    language: str = "python"
+
+class ProblemUpdate(BaseModel):
+    """Admin edit of a banked problem; fields left out are unchanged."""
+    difficulty: Optional[str] = None
+    problem: Optional[str] = None
+    func_signature: Optional[str] = None
+    class_definitions: Optional[str] = None
+    tags: Optional[List[str]] = None
+    complexity: Optional[Dict[str, str]] = None
+
+class ProblemFlag(BaseModel):
+    flagged: bool
+    reason: str = ""
+
+class Credentials(BaseModel):
+    username: str
+    password: str
+
+class RoleUpdate(BaseModel):
+    role: str
+
+# ---------- Problem Bank (Atomic Read-Modify-Write) ----------
+# Problems stay in the bank after they are served. The "pool" is the bank's
+# unserved problems: the generator keeps TARGET_PER_DIFFICULTY of those per
+# difficulty, and quizzes take the least-used unflagged problem of each difficulty.
+def new_bank_entry(diff: str, problem: Dict) -> Dict:
+    return {
+        "id": f"{int(time.time() * 1000):x}-{random.getrandbits(32):08x}",
+        "difficulty": diff,
+        "problem": problem["problem"],
+        "func_signature": problem.get("func_signature", "def solve() -> None:"),
+        "class_definitions": problem.get("class_definitions", ""),
+        "reference_solution": problem.get("reference_solution", ""),
+        "hidden_tests": problem.get("hidden_tests", []),
+        "tags": problem.get("tags", []),
+        "complexity": problem.get("complexity", {"time": "", "space": ""}),
+        "usage_count": 0,
+        "last_served_at": None,
+        "flagged": False,
+        "flag_reason": "",
+        "generated_at": problem.get("generated_at", datetime.now().isoformat()),
+        "generation_time": problem.get("generation_time"),
+    }
+
+def load_problem_bank() -> Dict:
+    """Load bank — caller MUST hold file_lock."""
+    if PROBLEM_BANK_FILE.exists():
+        try:
+            return json.loads(PROBLEM_BANK_FILE.read_text())
+        except json.JSONDecodeError:
+            return {"problems": []}
 
-# ---------- Pool Management (Atomic Read-Modify-Write) ----------
-def load_problem_pool() -> Dict:
-    """Load pool — caller MUST hold file_lock."""
-    if PROBLEM_POOL_FILE.exists():
+    # First run since the pool became a bank: bring the old pool's problems over
+    bank = {"problems": []}
+    if LEGACY_POOL_FILE.exists():
         try:
-            return json.loads(PROBLEM_POOL_FILE.read_text())
+            for diff, problems in json.loads(LEGACY_POOL_FILE.read_text()).items():
+                bank["problems"].extend(new_bank_entry(diff, problem) for problem in problems)
         except json.JSONDecodeError:
             pass
-    return {"Easy": [], "Medium": [], "Hard": [], "Expert": []}
+    return bank
 
-def save_problem_pool(pool: Dict):
-    """Save pool — caller MUST hold file_lock."""
-    PROBLEM_POOL_FILE.write_text(json.dumps(pool, indent=2))
+def save_problem_bank(bank: Dict):
+    """Save bank — caller MUST hold file_lock."""
+    PROBLEM_BANK_FILE.write_text(json.dumps(bank, indent=2))
+    pool_changed()
+
+def is_unserved(entry: Dict) -> bool:
+    return entry["usage_count"] == 0 and not entry["flagged"]
 
 def get_pool_status() -> Dict[str, int]:
+    """Unserved problems per difficulty."""
     with file_lock:
-        pool = load_problem_pool()
-    return {diff: len(pool.get(diff, [])) for diff in ["Easy", "Medium", "Hard", "Expert"]}
+        bank = load_problem_bank()
+    return {diff: sum(1 for e in bank["problems"] if e["difficulty"] == diff and is_unserved(e))
+            for diff in DIFFICULTIES}
+
+def find_bank_entry(bank: Dict, problem_id: str) -> Dict:
+    for entry in bank["problems"]:
+        if entry["id"] == problem_id:
+            return entry
+    raise HTTPException(status_code=404, detail=f"Problem {problem_id} not found")
+
+def _shingles(text: str) -> set:
+    words = re.findall(r"[a-z0-9]+", text.lower())
+    return {" ".join(words[i:i + 3]) for i in range(max(1, len(words) - 2))}
+
+def problem_similarity(a: str, b: str) -> float:
+    """Jaccard similarity of the two texts' word 3-grams (0-1)."""
+    sa, sb = _shingles(a), _shingles(b)
+    return len(sa & sb) / len(sa | sb) if sa or sb else 0.0
+
+def find_duplicate(bank: Dict, problem: Dict) -> Optional[Dict]:
+    """The banked problem `problem` is a near-duplicate of, if any."""
+    name = extract_function_name(problem.get("func_signature", ""), "python")
+    for entry in bank["problems"]:
+        similarity = problem_similarity(entry["problem"], problem["problem"])
+        same_name = name and extract_function_name(entry["func_signature"], "python") == name
+        if similarity >= SIMILARITY_THRESHOLD or (same_name and similarity >= SAME_NAME_SIMILARITY_THRESHOLD):
+            return entry
+    return None
 
-def atomic_add_problem(diff: str, problem: Dict) -> bool:
-    """Atomically add a problem to the pool. Returns True if added."""
+def atomic_add_problem(diff: str, problem: Dict, enforce_target: bool = True) -> Tuple[bool, str]:
+    """Atomically add a problem to the bank. Returns (True, new problem id) if
+    added, or (False, why not): that difficulty already has enough unserved
+    problems, or it's a duplicate. Problems generated for a topic request skip
+    the target check."""
     with file_lock:
-        pool = load_problem_pool()
-        if diff not in pool:
-            pool[diff] = []
-        if len(pool[diff]) >= TARGET_PER_DIFFICULTY:
-            return False
-        pool[diff].append(problem)
-        save_problem_pool(pool)
-        return True
+        bank = load_problem_bank()
+        unserved = sum(1 for e in bank["problems"] if e["difficulty"] == diff and is_unserved(e))
+        if enforce_target and unserved >= TARGET_PER_DIFFICULTY:
+            return False, f"{diff} already has {unserved} unserved problems"
+        duplicate = find_duplicate(bank, problem)
+        if duplicate:
+            reason = f"Too similar to {duplicate['id']} ({problem_title(duplicate['problem'])})"
+            print(f"Skipping {diff} problem: {reason}")
+            return False, reason
+        entry = new_bank_entry(diff, problem)
+        bank["problems"].append(entry)
+        save_problem_bank(bank)
+        return True, entry["id"]
+
+def _serve(entry: Dict) -> Dict:
+    """Count a use of a bank entry and return the fields sent to the client
+    (the hidden tests and reference solution stay on the server)."""
+    entry["usage_count"] += 1
+    entry["last_served_at"] = datetime.now().isoformat()
+    return {
+        "problem_id": entry["id"],
+        "difficulty": entry["difficulty"],
+        "problem": entry["problem"],
+        "func_signature": entry["func_signature"],
+        "class_definitions": entry["class_definitions"],
+        "tags": entry["tags"],
+    }
+
+def _least_used(bank: Dict, diff: str, topics: Optional[List[str]] = None, exclude=()) -> Optional[Dict]:
+    """Least-used unflagged problem of a difficulty (random among ties), optionally
+    tagged with one of `topics` and not one of the ids in `exclude`."""
+    candidates = [e for e in bank["problems"]
+                  if e["difficulty"] == diff and not e["flagged"] and e["id"] not in exclude
+                  and (not topics or set(topics) & set(e["tags"]))]
+    if not candidates:
+        return None
+    fewest = min(e["usage_count"] for e in candidates)
+    return random.choice([e for e in candidates if e["usage_count"] == fewest])
+
+def _no_problems_error(bank: Dict, difficulties: List[str]) -> HTTPException:
+    """`difficulties` lists one entry per problem that was needed."""
+    needed = {d: difficulties.count(d) for d in DIFFICULTIES if d in difficulties}
+    counts = {d: sum(1 for e in bank["problems"] if e["difficulty"] == d and not e["flagged"]) for d in needed}
+    return HTTPException(
+        status_code=400,
+        detail="Not enough problems available: "
+               + ", ".join(f"{d}: {counts[d]} of {n}" for d, n in needed.items() if counts[d] < n)
+    )
 
-def atomic_pop_problems() -> List[Dict]:
-    """Atomically pop one problem per difficulty for a quiz."""
-    difficulties = ["Easy", "Medium", "Hard", "Expert"]
+def atomic_pop_problems(difficulties: List[str], topics: Optional[List[str]] = None) -> List[Dict]:
+    """Atomically pick one distinct problem per entry of `difficulties` for a quiz,
+    least-used first, restricted to `topics` when given. When the bank can't fill
+    the quiz, the missing topic problems are queued for generation."""
     with file_lock:
-        pool = load_problem_pool()
-        problems = []
+        bank = load_problem_bank()
+        entries, missing = [], []
         for diff in difficulties:
-            if not pool.get(diff):
-                raise HTTPException(
-                    status_code=400,
-                    detail=f"No {diff} problems available. Pool status: "
-                           + ", ".join(f"{d}: {len(pool.get(d, []))}" for d in difficulties)
-                )
-            problem = pool[diff].pop(0)
-            problems.append({
-                "difficulty": diff,
-                "problem": problem["problem"],
-                "func_signature": problem.get("func_signature", "def solve() -> None:"),
-                "class_definitions": problem.get("class_definitions", "")
-            })
-        save_problem_pool(pool)
-    return problems
+            entry = _least_used(bank, diff, topics, exclude={e["id"] for e in entries})
+            if entry:
+                entries.append(entry)
+            else:
+                missing.append(diff)
+        if missing and not topics:
+            raise _no_problems_error(bank, difficulties)
+        if not missing:
+            problems = [_serve(entry) for entry in entries]
+            save_problem_bank(bank)
+            return problems
+
+    for i, diff in enumerate(missing):
+        request_topic_problem(diff, topics[i % len(topics)])
+    raise HTTPException(
+        status_code=400,
+        detail=f"Not enough {', '.join(topics)} problems yet (missing: {', '.join(missing)}). "
+               "They are being generated — try again in a minute or two."
+    )
+
+def atomic_pop_problem(difficulties: List[str]) -> Dict:
+    """Atomically pick the least-used problem of a random difficulty among those given that have one."""
+    with file_lock:
+        bank = load_problem_bank()
+        entries = [e for e in (_least_used(bank, diff) for diff in difficulties) if e]
+        if not entries:
+            raise _no_problems_error(bank, difficulties)
+        fewest = min(e["usage_count"] for e in entries)
+        problem = _serve(random.choice([e for e in entries if e["usage_count"] == fewest]))
+        save_problem_bank(bank)
+    return problem
+
+def request_topic_problem(diff: str, topic: str):
+    with topic_requests_lock:
+        topic_requests[(diff, topic)] = topic_requests.get((diff, topic), 0) + 1
+    pool_changed()
+
+def pending_topic_requests() -> List[Dict]:
+    with topic_requests_lock:
+        return [{"difficulty": diff, "topic": topic, "needed": n} for (diff, topic), n in topic_requests.items()]
+
+def topic_request_done(diff: str, topic: str):
+    with topic_requests_lock:
+        remaining = topic_requests.get((diff, topic), 0) - 1
+        if remaining > 0:
+            topic_requests[(diff, topic)] = remaining
+        else:
+            topic_requests.pop((diff, topic), None)
+    pool_changed()
+
+def generation_tasks() -> List[Tuple[str, Optional[str]]]:
+    """(difficulty, topic) pairs to generate: queued topic requests first, then
+    enough untargeted problems to bring each difficulty up to TARGET_PER_DIFFICULTY."""
+    tasks = [(r["difficulty"], r["topic"]) for r in pending_topic_requests() for _ in range(r["needed"])]
+    for diff, current in get_pool_status().items():
+        tasks.extend([(diff, None)] * max(0, TARGET_PER_DIFFICULTY - current))
+    return tasks
+
+def get_hidden_tests(problem_id: Optional[str]) -> List[Dict]:
+    if not problem_id:
+        return []
+    with file_lock:
+        bank = load_problem_bank()
+    entry = next((e for e in bank["problems"] if e["id"] == problem_id), None)
+    return entry["hidden_tests"] if entry else []
+
+def problem_title(text: str) -> str:
+    """First non-empty line of a problem, without markdown markers."""
+    for line in text.splitlines():
+        title = re.sub(r"[#*`]", "", line).strip()
+        if title:
+            return title[:100]
+    return "Untitled"
 
 # ---------- Problem Generation ----------
 def enforce_good_signature(sig: str, fallback: str) -> str:
@@ -183,10 +508,19 @@ def fix_markdown_formatting(text: str) -> str:
 
     return text
 
-def generate_one_problem(difficulty: str) -> Optional[Dict]:
-    """Generate a problem using Gemini's JSON mode with retries."""
+def generate_one_problem(difficulty: str, topic: Optional[str] = None,
+                         errors: Optional[List[str]] = None) -> Optional[Dict]:
+    """Generate a problem using Gemini's JSON mode with retries. With a topic the
+    problem must be about it (and is tagged with it); otherwise the model picks one.
+    Why each failed attempt failed is appended to `errors`, if given."""
+    def attempt_failed(message: str):
+        print(message)
+        if errors is not None:
+            errors.append(message)
+
+    topic_rule = f'\n- The intended solution MUST use {topic}, and "{topic}" MUST be one of the tags' if topic else ""
 
-    prompt = f"""Generate a {difficulty} coding interview problem.
+    prompt = f"""Generate a {difficulty} coding interview problem{f' about {topic}' if topic else ''}.
 
 Include:
 1. Problem description (clear and concise)
@@ -212,39 +546,68 @@ Rules for func_signature:
 - No imports needed (typing symbols like List, Dict, Optional exist)
 - Function name should be descriptive (not "calculate" or "solve")
 
+Rules for hidden_tests (used to check candidates' solutions, never shown before they submit):
+- {HIDDEN_TEST_COUNT} test cases that cover typical inputs, edge cases (empty, single element, duplicates, negatives, limits) and larger inputs
+- "input" is a Python literal of the arguments: the value itself for one argument, a tuple for several, e.g. "([1, 2, 3], 4)"
+- "expected" is a Python literal of the correct return value
+- Keep every input under 1000 elements
+
+Rules for tags: 1-3 topics from this list that the intended solution uses: {", ".join(TOPIC_TAGS)}{topic_rule}
+
 Keep description under 300 words. Make examples clear and varied.
 
 Return a JSON object with these exact keys:
 - "problem": full problem description with examples (string)
 - "func_signature": Python function signature (string)
-- "class_definitions": any helper class definitions needed, or empty string (string)"""
+- "class_definitions": any helper class definitions needed, or empty string (string)
+- "reference_solution": a correct, efficient Python implementation of func_signature, without the class definitions (string)
+- "hidden_tests": list of {{"input": string, "expected": string}} objects
+- "tags": list of topic strings (see rules above)
+- "expected_complexity": {{"time": Big-O of the reference solution, "space": Big-O extra space}}"""
 
     for attempt in range(MAX_GENERATION_RETRIES):
         try:
             start_time = time.time()
-            response = client.models.generate_content(
-                model="gemini-3-pro-preview",
-                contents=prompt,
-                config=types.GenerateContentConfig(
-                    response_mime_type="application/json",
-                    response_schema={
-                        "type": "OBJECT",
-                        "properties": {
-                            "problem": {"type": "STRING"},
-                            "func_signature": {"type": "STRING"},
-                            "class_definitions": {"type": "STRING"},
+            response_text = llm.generate(
+                prompt,
+                "problem",
+                schema={
+                    "type": "OBJECT",
+                    "properties": {
+                        "problem": {"type": "STRING"},
+                        "func_signature": {"type": "STRING"},
+                        "class_definitions": {"type": "STRING"},
+                        "reference_solution": {"type": "STRING"},
+                        "hidden_tests": {
+                            "type": "ARRAY",
+                            "items": {
+                                "type": "OBJECT",
+                                "properties": {
+                                    "input": {"type": "STRING"},
+                                    "expected": {"type": "STRING"},
+                                },
+                                "required": ["input", "expected"],
+                            },
+                        },
+                        "tags": {"type": "ARRAY", "items": {"type": "STRING"}},
+                        "expected_complexity": {
+                            "type": "OBJECT",
+                            "properties": {
+                                "time": {"type": "STRING"},
+                                "space": {"type": "STRING"},
+                            },
                         },
-                        "required": ["problem", "func_signature"],
                     },
-                ),
+                    "required": ["problem", "func_signature", "reference_solution", "hidden_tests", "tags"],
+                },
             )
             elapsed = time.time() - start_time
 
-            data = json.loads(response.text)
+            data = json.loads(response_text)
 
             # Validate required fields
             if not data.get("problem") or not data.get("func_signature"):
-                print(f"Attempt {attempt+1}: Empty required fields for {difficulty}")
+                attempt_failed(f"Attempt {attempt+1}: Empty required fields for {difficulty}")
                 continue
 
             data["func_signature"] = enforce_good_signature(
@@ -252,16 +615,31 @@ Return a JSON object with these exact keys:
                 fallback="def solve(nums: List[int]) -> int:"
             )
             data["class_definitions"] = data.get("class_definitions", "")
+
+            # Only keep hidden tests the reference solution passes
+            data["hidden_tests"] = validate_hidden_tests(data)
+            if len(data["hidden_tests"]) < MIN_HIDDEN_TESTS:
+                attempt_failed(f"Attempt {attempt+1}: Only {len(data['hidden_tests'])} valid hidden tests for {difficulty}")
+                continue
+
+            data["tags"] = normalize_tags(data.get("tags"))
+            if topic and topic not in data["tags"]:
+                data["tags"].insert(0, topic)
+            complexity = data.pop("expected_complexity", None) or {}
+            data["complexity"] = {"time": str(complexity.get("time", "")), "space": str(complexity.get("space", ""))}
             data["difficulty"] = difficulty
-            data["generation_time"] = elapsed
+            data["generation_time"] = round(elapsed, 2)
 
             return data
 
         except json.JSONDecodeError as e:
-            print(f"Attempt {attempt+1}: JSON parse error for {difficulty}: {e}")
+            attempt_failed(f"Attempt {attempt+1}: JSON parse error for {difficulty}: {e}")
             continue
+        except LLMError as e:
+            attempt_failed(f"Cannot generate {difficulty} problem: {e}")
+            return None
         except Exception as e:
-            print(f"Attempt {attempt+1}: Error generating {difficulty}: {e}")
+            attempt_failed(f"Attempt {attempt+1}: Error generating {difficulty}: {e}")
             if attempt < MAX_GENERATION_RETRIES - 1:
                 time.sleep(1 * (attempt + 1))  # backoff
             continue
@@ -269,17 +647,70 @@ Return a JSON object with these exact keys:
     print(f"All {MAX_GENERATION_RETRIES} attempts failed for {difficulty}")
     return None
 
-def fill_pool_parallel():
-    with file_lock:
-        pool = load_problem_pool()
-    difficulties = ["Easy", "Medium", "Hard", "Expert"]
+def normalize_tags(tags) -> List[str]:
+    """Lower-cased, de-duplicated tags from TOPIC_TAGS (anything else is dropped)."""
+    if not isinstance(tags, list):
+        return []
+    normalized = []
+    for tag in tags:
+        tag = str(tag).strip().lower().replace("-", " ").replace("_", " ")
+        if tag in TOPIC_TAGS and tag not in normalized:
+            normalized.append(tag)
+    return normalized
+
+def validate_hidden_tests(data: Dict) -> List[Dict]:
+    """Run the generated hidden tests against the generated reference solution
+    and return the ones it passes."""
+    func_name = extract_function_name(data["func_signature"], "python")
+    if not func_name or not data.get("reference_solution"):
+        return []
+    code = f"{data['class_definitions']}\n\n{data['reference_solution']}"
+
+    tests = [{"input": test["input"], "expected": test["expected"]} for test in data.get("hidden_tests") or []
+             if isinstance(test, dict) and test.get("input") and test.get("expected")]
+    results = sandbox.run_tests(code, func_name, tests, CODE_EXECUTION_TIMEOUT)
+    return [test for test, result in zip(tests, results) if result.get("status") == "passed"]
+
+def generate_and_add(diff: str, topic: Optional[str]) -> bool:
+    """Generate one problem (on `topic`, if given), add it to the bank and log the
+    attempt. A topic request is used up by the attempt either way; the quiz that
+    needs it queues it again."""
+    entry = {"difficulty": diff, "topic": topic, "started_at": datetime.now().isoformat()}
+    errors: List[str] = []
+    start_time = time.time()
+    with generation_log_lock:
+        active_generations.append(entry)
+    pool_changed()
+    try:
+        problem = generate_one_problem(diff, topic, errors)
+        if not problem:
+            entry.update({"status": "failed", "detail": errors[-1] if errors else "No problem generated"})
+            return False
+        problem["generated_at"] = datetime.now().isoformat()
+        added, detail = atomic_add_problem(diff, problem, enforce_target=topic is None)
+        entry.update({"status": "added" if added else "skipped", "detail": detail,
+                      "generation_time": problem["generation_time"]})
+        return added
+    except Exception as e:
+        entry.update({"status": "failed", "detail": f"{type(e).__name__}: {e}"})
+        raise
+    finally:
+        entry.update({"errors": errors, "duration": round(time.time() - start_time, 2),
+                      "finished_at": datetime.now().isoformat()})
+        with generation_log_lock:
+            active_generations.remove(entry)
+            generation_log.append(entry)
+        pool_changed()
+        if topic:
+            topic_request_done(diff, topic)
+
+def generation_log_entries() -> List[Dict]:
+    """The generation log, newest first"""
+    with generation_log_lock:
+        return [dict(entry) for entry in reversed(generation_log)]
 
-    tasks = []
-    for diff in difficulties:
-        current = len(pool.get(diff, []))
-        needed = TARGET_PER_DIFFICULTY - current
-        if needed > 0:
-            tasks.extend([diff] * needed)
+def fill_pool_parallel():
+    tasks = generation_tasks()
 
     if not tasks:
         return 0
@@ -288,19 +719,13 @@ def fill_pool_parallel():
     start_time = time.time()
     generated = 0
 
-    for i, diff in enumerate(tasks):
+    for i, (diff, topic) in enumerate(tasks):
         try:
             if i > 0:
                 time.sleep(5)  # 2s delay between API calls to avoid rate limiting
-            problem = generate_one_problem(diff)
-
-            if problem:
-                problem["generated_at"] = datetime.now().isoformat()
-                if atomic_add_problem(diff, problem):
-                    generated += 1
-                    with file_lock:
-                        count = len(load_problem_pool().get(diff, []))
-                    print(f"{diff}: {count}/{TARGET_PER_DIFFICULTY}")
+            if generate_and_add(diff, topic):
+                generated += 1
+                print(f"{diff}{f' ({topic})' if topic else ''}: {get_pool_status()[diff]}/{TARGET_PER_DIFFICULTY}")
 
         except Exception as e:
             print(f"{diff} failed: {e}")
@@ -312,224 +737,469 @@ def fill_pool_parallel():
 
 def background_generator():
     global generator_running
-    difficulties = ["Easy", "Medium", "Hard", "Expert"]
 
     while generator_running:
-        with file_lock:
-            pool = load_problem_pool()
-
-        tasks = []
-        for diff in difficulties:
-            needed = TARGET_PER_DIFFICULTY - len(pool.get(diff, []))
-            tasks.extend([diff] * max(0, needed))
+        tasks = generation_tasks()
 
         if not tasks:
             time.sleep(60)
             continue
 
         batch = tasks[:8]
+        added = 0
 
-        for i, diff in enumerate(batch):
+        for i, (diff, topic) in enumerate(batch):
             if not generator_running:
                 break
             try:
                 if i > 0:
                     time.sleep(2)  # 2s delay between API calls to avoid rate limiting
-                problem = generate_one_problem(diff)
-                if problem:
-                    problem["generated_at"] = datetime.now().isoformat()
-                    atomic_add_problem(diff, problem)
+                if generate_and_add(diff, topic):
+                    added += 1
             except Exception as e:
                 print(f"Background gen {diff} failed: {e}")
 
-        time.sleep(3)
+        # Nothing new in a whole batch (failures or duplicates only): back off
+        time.sleep(3 if added else 60)
+
+# ---------- JavaScript Execution ----------
+def _parse_literal(text: str) -> Any:
+    """Parse a Python-literal test value into a JSON-compatible value."""
+    value = ast.literal_eval(text)
+    # Round-trip through JSON so tuples become lists, matching what JS returns
+    return json.loads(json.dumps(value))
+
+def run_js_tests(code: str, func_name: str, test_cases: List[TestCase], typescript: bool = False) -> List[Dict]:
+    """Execute a JavaScript (or TypeScript) solution against the test cases in a sandboxed node worker."""
+    cases = []
+    parse_errors = {}
+    for i, tc in enumerate(test_cases):
+        try:
+            parsed = ast.literal_eval(tc.input)
+            args = list(parsed) if isinstance(parsed, tuple) else [parsed]
+            cases.append(json.loads(json.dumps(args)))
+        except (ValueError, SyntaxError, TypeError) as e:
+            parse_errors[i] = f"{type(e).__name__}: invalid test input: {e}"
+            cases.append([])
 
-# ---------- Sandboxed Code Execution ----------
-def _run_code_in_process(code: str, func_name: str, test_input_str: str, expected_str: str, conn):
-    """Run user code in an isolated process with restricted globals."""
     try:
-        exec_globals = {"__builtins__": {
-            # Allow safe builtins only
-            "len": len, "range": range, "int": int, "float": float, "str": str,
-            "bool": bool, "list": list, "dict": dict, "set": set, "tuple": tuple,
-            "min": min, "max": max, "sum": sum, "abs": abs, "round": round,
-            "sorted": sorted, "reversed": reversed, "enumerate": enumerate,
-            "zip": zip, "map": map, "filter": filter, "any": any, "all": all,
-            "isinstance": isinstance, "issubclass": issubclass, "type": type,
-            "repr": repr, "print": print, "hash": hash, "id": id,
-            "chr": chr, "ord": ord, "hex": hex, "bin": bin, "oct": oct,
-            "pow": pow, "divmod": divmod,
-            "ValueError": ValueError, "TypeError": TypeError, "KeyError": KeyError,
-            "IndexError": IndexError, "StopIteration": StopIteration,
-            "RuntimeError": RuntimeError, "ZeroDivisionError": ZeroDivisionError,
-            "Exception": Exception, "True": True, "False": False, "None": None,
-        }}
-
-        # Import typing symbols
-        from typing import List, Dict, Set, Tuple, Optional, Union
-        exec_globals.update({
-            "List": List, "Dict": Dict, "Set": Set, "Tuple": Tuple,
-            "Optional": Optional, "Union": Union,
-        })
+        outcomes = sandbox.run_js(code, func_name, cases, CODE_EXECUTION_TIMEOUT, typescript)
+    except sandbox.SandboxUnavailable as e:
+        raise HTTPException(status_code=503, detail=str(e))
 
-        exec(code, exec_globals)
+    results = []
+    for i, (tc, outcome) in enumerate(zip(test_cases, outcomes)):
+        if i in parse_errors:
+            results.append({"status": "error", "message": parse_errors[i]})
+            continue
+        if not outcome["ok"]:
+            message = outcome["message"]
+            if "Script execution timed out" in message:
+                message = f"Execution timed out ({CODE_EXECUTION_TIMEOUT}s limit)"
+            results.append({"status": "error", "message": message})
+            continue
+        result = {"status": "executed", "output": json.dumps(outcome["output"])}
+        if tc.expected:
+            try:
+                expected = _parse_literal(tc.expected)
+            except (ValueError, SyntaxError, TypeError) as e:
+                results.append({"status": "error", "message": f"{type(e).__name__}: invalid expected value: {e}"})
+                continue
+            result["status"] = "passed" if outcome["output"] == expected else "failed"
+        results.append(result)
+    return results
 
-        if func_name not in exec_globals:
-            conn.send({"status": "error", "message": f"Function '{func_name}' not found"})
-            return
+def extract_function_name(func_signature: str, language: str) -> Optional[str]:
+    pattern = r'def\s+(\w+)\s*\(' if language == "python" else r'function\s+(\w+)\s*[<(]'
+    match = re.search(pattern, func_signature)
+    return match.group(1) if match else None
 
-        user_function = exec_globals[func_name]
+def get_language_name(language: str) -> str:
+    if language not in SUPPORTED_LANGUAGES:
+        raise HTTPException(status_code=400, detail=f"Unsupported language: {language}")
+    return SUPPORTED_LANGUAGES[language]
 
-        # Use a safe eval namespace too
-        eval_globals = dict(exec_globals)
-        test_input = eval(test_input_str, eval_globals)
+def run_python_tests(code: str, func_name: str, test_cases: List[TestCase]) -> List[Dict]:
+    """Execute a Python solution against the test cases, all in one sandboxed worker."""
+    cases = [{"input": tc.input, "expected": tc.expected} for tc in test_cases]
+    return sandbox.run_tests(code, func_name, cases, CODE_EXECUTION_TIMEOUT)
 
-        if isinstance(test_input, tuple):
-            output = user_function(*test_input)
-        else:
-            output = user_function(test_input)
+def execute_tests(code: str, func_signature: str, language: str, test_cases: List[TestCase]) -> Dict:
+    """Run test cases against a solution; returns {results, passed, total}."""
+    get_language_name(language)
 
-        result = {"status": "executed", "output": repr(output)}
+    func_name = extract_function_name(func_signature, language)
+    if not func_name:
+        raise HTTPException(status_code=400, detail="Could not extract function name")
 
-        if expected_str:
-            expected = eval(expected_str, eval_globals)
-            result["status"] = "passed" if output == expected else "failed"
+    if language == "python":
+        exec_results = run_python_tests(code, func_name, test_cases)
+    else:
+        exec_results = run_js_tests(code, func_name, test_cases, typescript=language == "typescript")
+    results = []
+    for i, (test_case, exec_result) in enumerate(zip(test_cases, exec_results)):
+        result = {"test_num": i + 1, "input": test_case.input, "expected": test_case.expected}
+        result["status"] = exec_result.get("status", "error")
+        for key in ("output", "message", "logs", "runtime_ms", "peak_memory_kb"):
+            if key in exec_result:
+                result[key] = exec_result[key]
+        results.append(result)
 
-        conn.send(result)
+    passed = sum(1 for r in results if r["status"] == "passed")
+    return {"results": results, "passed": passed, "total": len(results)}
+
+def run_hidden_tests(submission: CodeSubmission) -> Optional[Dict]:
+    """Run the submitted problem's hidden tests; None if it has none. A server that
+    can't run the language raises (503) rather than grading without them."""
+    hidden = get_hidden_tests(submission.problem_id)
+    if not hidden:
+        return None
+    test_cases = [TestCase(**test) for test in hidden]
+    return execute_tests(submission.code, submission.func_signature, submission.language, test_cases)
+
+def combine_scores(ai_score: int, hidden_tests: Optional[Dict]) -> int:
+    if not hidden_tests or not hidden_tests["total"]:
+        return ai_score
+    pass_rate = hidden_tests["passed"] / hidden_tests["total"]
+    return round((1 - HIDDEN_TEST_WEIGHT) * ai_score + HIDDEN_TEST_WEIGHT * 10 * pass_rate)
+
+# ---------- Quiz Sessions ----------
+def load_quiz_sessions() -> Dict:
+    """Load quiz sessions — caller MUST hold sessions_lock."""
+    if QUIZ_SESSIONS_FILE.exists():
+        try:
+            return json.loads(QUIZ_SESSIONS_FILE.read_text())
+        except json.JSONDecodeError:
+            pass
+    return {}
+
+def save_quiz_sessions(sessions: Dict):
+    """Save quiz sessions — caller MUST hold sessions_lock."""
+    if len(sessions) > MAX_QUIZ_SESSIONS:
+        for session_id in sorted(sessions, key=lambda i: sessions[i]["created_at"])[:len(sessions) - MAX_QUIZ_SESSIONS]:
+            del sessions[session_id]
+    QUIZ_SESSIONS_FILE.write_text(json.dumps(sessions, indent=2))
+
+def create_quiz_session(user: Dict, problems: List[Dict], topics: List[str]) -> str:
+    session_id = f"{int(time.time() * 1000):x}-{random.getrandbits(32):08x}"
+    with sessions_lock:
+        sessions = load_quiz_sessions()
+        sessions[session_id] = {
+            "id": session_id,
+            "username": user["username"],
+            "created_at": datetime.now().isoformat(),
+            "completed_at": None,
+            "topics": topics,
+            "problems": [{"problem_id": p["problem_id"], "difficulty": p["difficulty"]} for p in problems],
+            # Keyed by problem index (as a string, JSON object keys)
+            "hints": {},
+            "chats": {},
+            "results": {},
+        }
+        save_quiz_sessions(sessions)
+    return session_id
+
+def _user_session(sessions: Dict, session_id: str, user: Dict) -> Dict:
+    session = sessions.get(session_id)
+    if not session or session["username"] != user["username"]:
+        raise HTTPException(status_code=404, detail=f"Quiz {session_id} not found")
+    return session
+
+def _open_problem(session: Dict, index: int) -> str:
+    """The session key for problem `index`, which must exist and not be submitted yet."""
+    if not 0 <= index < len(session["problems"]):
+        raise HTTPException(status_code=400, detail=f"This quiz has no problem {index + 1}")
+    key = str(index)
+    if key in session["results"]:
+        raise HTTPException(status_code=409, detail=f"Problem {index + 1} has already been submitted")
+    return key
+
+def split_top_level(text: str) -> List[str]:
+    """Split on commas that aren't nested inside brackets or quotes (splitTopLevel in problemExamples.js)."""
+    parts, current, depth, quote = [], "", 0, None
+    chars = iter(text)
+    for ch in chars:
+        if quote:
+            if ch == "\\":
+                ch += next(chars, "")
+            elif ch == quote:
+                quote = None
+        elif ch in "\"'":
+            quote = ch
+        elif ch in "([{":
+            depth += 1
+        elif ch in ")]}":
+            depth -= 1
+        elif ch == "," and depth == 0:
+            parts.append(current)
+            current = ""
+            continue
+        current += ch
+    return parts + [current]
+
+def signature_for_language(func_signature: str, language: str) -> str:
+    """The Python signature as the client shows it for `language` (see languages.js);
+    the grader reads it and the hidden tests find the function by its name."""
+    if language == "python":
+        return func_signature
+    match = re.match(r"\s*def\s+(\w+)\s*\((.*)\)", func_signature, re.S)
+    if not match:
+        return "function solve()"
+    camel = lambda name: re.sub(r"([a-z0-9])_+([a-z0-9])", lambda m: m.group(1) + m.group(2).upper(), name, flags=re.I)
+    params = [re.split(r"[:=]", p)[0].strip() for p in split_top_level(match.group(2))]
+    params = [camel(p) for p in params if p and p != "self" and not p.startswith("*")]
+    return f"function {camel(match.group(1))}({', '.join(params)})"
+
+def claim_problem(session_id: str, index: int):
+    """Claim a quiz problem for grading: a second submission while it is being graded
+    gets a 409, like one after it was recorded. Release with release_problem()."""
+    with grading_lock:
+        if (session_id, index) in grading_problems:
+            raise HTTPException(status_code=409, detail=f"Problem {index + 1} is already being graded")
+        grading_problems.add((session_id, index))
+
+def release_problem(session_id: str, index: int):
+    with grading_lock:
+        grading_problems.discard((session_id, index))
+
+def session_problem(session: Dict, index: int) -> Dict:
+    with file_lock:
+        bank = load_problem_bank()
+    return find_bank_entry(bank, session["problems"][index]["problem_id"])
+
+def quiz_submission(request: QuizSubmission, user: Dict) -> CodeSubmission:
+    """Build the submission to grade from the session: the client only supplies the code."""
+    get_language_name(request.language)
+    with sessions_lock:
+        session = _user_session(load_quiz_sessions(), request.session_id, user)
+    key = _open_problem(session, request.problem_index)
+    entry = session_problem(session, request.problem_index)
+    return CodeSubmission(
+        code=request.code,
+        problem_index=request.problem_index,
+        problem=entry["problem"],
+        func_signature=signature_for_language(entry["func_signature"], request.language),
+        language=request.language,
+        chat=[ChatMessage(**m) for m in session["chats"].get(key, [])],
+        problem_id=entry["id"],
+    )
 
-    except Exception as e:
-        conn.send({"status": "error", "message": f"{type(e).__name__}: {str(e)}"})
+def record_quiz_result(session_id: str, submission: CodeSubmission, user: Dict, result: Dict) -> Dict:
+    """Store a graded answer and lock the problem. Returns the stored result,
+    whose final_score is the score less hint penalties (0 after giving up)."""
+    with sessions_lock:
+        sessions = load_quiz_sessions()
+        session = _user_session(sessions, session_id, user)
+        key = _open_problem(session, submission.problem_index)
+        gave_up = result.get("gave_up", False)
+        hint_penalty = 0 if gave_up else sum(h["penalty"] for h in session["hints"].get(key, []))
+        stored = {
+            "score": result["score"],
+            "final_score": 0 if gave_up else max(0, result["score"] - hint_penalty),
+            "hint_penalty": hint_penalty,
+            "gave_up": gave_up,
+            "rubric": result.get("rubric"),
+            "hidden_tests": result.get("hidden_tests"),
+            "feedback": result["feedback"],
+            "language": submission.language,
+            "code": submission.code,
+            "submitted_at": datetime.now().isoformat(),
+        }
+        session["results"][key] = stored
+        if len(session["results"]) == len(session["problems"]):
+            session["completed_at"] = stored["submitted_at"]
+        save_quiz_sessions(sessions)
+    return stored
 
+# ---------- API Endpoints ----------
+@app.get("/")
+def root():
+    return {"message": "SmartTalk API", "status": "running", "llm_provider": llm.name,
+            "llm_error": llm.configuration_error()}
 
-def run_code_sandboxed(code: str, func_name: str, test_input: str, expected: str) -> Dict:
-    """Execute user code in a separate process with a timeout."""
-    parent_conn, child_conn = multiprocessing.Pipe()
+# ---------- Accounts ----------
+@app.post("/auth/register")
+def register(credentials: Credentials):
+    """Create an account (the first one is an admin) and log it in"""
+    return auth.register(credentials.username, credentials.password)
 
-    proc = multiprocessing.Process(
-        target=_run_code_in_process,
-        args=(code, func_name, test_input, expected, child_conn),
-        daemon=True,
-    )
-    proc.start()
-    proc.join(timeout=CODE_EXECUTION_TIMEOUT)
+@app.post("/auth/login")
+def login(credentials: Credentials):
+    return auth.login(credentials.username, credentials.password)
 
-    if proc.is_alive():
-        proc.kill()
-        proc.join(timeout=1)
-        return {"status": "error", "message": f"Execution timed out ({CODE_EXECUTION_TIMEOUT}s limit)"}
+@app.post("/auth/logout")
+def logout(user: Dict = Depends(current_user)):
+    auth.logout(user["token"])
+    return {"message": "Logged out"}
 
-    if parent_conn.poll():
-        return parent_conn.recv()
-    else:
-        return {"status": "error", "message": "No result from execution (process may have crashed)"}
+@app.get("/auth/me")
+def me(user: Dict = Depends(current_user)):
+    return {k: v for k, v in user.items() if k != "token"}
 
+@app.get("/admin/users")
+def list_users(user: Dict = Depends(admin_user)):
+    return {"users": auth.list_users(), "roles": auth.ROLES}
 
-# ---------- API Endpoints ----------
-@app.get("/")
-def root():
-    return {"message": "SmartTalk API", "status": "running"}
+@app.put("/admin/users/{username}/role")
+def set_user_role(username: str, update: RoleUpdate, user: Dict = Depends(admin_user)):
+    return auth.set_role(username, update.role)
 
 @app.get("/pool/status")
 def pool_status():
+    """Unserved problems per difficulty. `ready` means a quiz can start: every
+    difficulty has an unflagged problem in the bank, served before or not."""
     status = get_pool_status()
-    total = sum(status.values())
+    with file_lock:
+        bank = load_problem_bank()
+    available = {e["difficulty"] for e in bank["problems"] if not e["flagged"]}
     return {
         "status": status,
-        "total": total,
+        "total": sum(status.values()),
         "target": POOL_SIZE,
-        "ready": total >= 4,
-        "generator_running": generator_running
+        "target_per_difficulty": TARGET_PER_DIFFICULTY,
+        "bank_size": len(bank["problems"]),
+        "ready": all(diff in available for diff in status),
+        "generator_running": generator_running,
+        "generating": [{"difficulty": e["difficulty"], "topic": e["topic"], "started_at": e["started_at"]}
+                       for e in list(active_generations)],
+        "topics": TOPIC_TAGS,
+        "topic_requests": pending_topic_requests(),
+        "max_quiz_problems": MAX_QUIZ_PROBLEMS,
     }
 
 @app.post("/pool/generate")
-def generate_pool(background_tasks: BackgroundTasks):
+def generate_pool(background_tasks: BackgroundTasks, user: Dict = Depends(admin_user)):
     """Generate problems to fill the pool"""
     background_tasks.add_task(fill_pool_parallel)
     return {"message": "Generation started"}
 
 @app.post("/generator/start")
-def start_generator():
+def start_generator(user: Dict = Depends(admin_user)):
     global generator_running
     if not generator_running:
         generator_running = True
         thread = threading.Thread(target=background_generator, daemon=True)
         thread.start()
+        pool_changed()
         return {"message": "Generator started"}
     return {"message": "Generator already running"}
 
 @app.post("/generator/stop")
-def stop_generator():
+def stop_generator(user: Dict = Depends(admin_user)):
     global generator_running
     generator_running = False
+    pool_changed()
     return {"message": "Generator stopped"}
 
-@app.get("/quiz/start")
-def start_quiz():
-    """Get 4 problems (one of each difficulty) to start a quiz"""
-    problems = atomic_pop_problems()
-    return {"problems": problems}
+@app.get("/generator/log")
+def generator_log(user: Dict = Depends(admin_user)):
+    """Recent generation attempts, newest first: status (added, skipped or failed),
+    timings and the errors of failed attempts"""
+    return {"log": generation_log_entries()}
 
-@app.post("/quiz/submit")
-def submit_solution(submission: CodeSubmission):
-    """Analyze submitted code and return score + feedback"""
+def parse_list_param(value: str, allowed: List[str], name: str) -> List[str]:
+    """Split a comma-separated query parameter, rejecting values not in `allowed`."""
+    values = [v.strip() for v in value.split(",") if v.strip()]
+    unknown = [v for v in values if v not in allowed]
+    if unknown:
+        raise HTTPException(status_code=400, detail=f"Unknown {name}: {', '.join(unknown)}")
+    return values
 
-    ai_prompt = f"""You are a coding interviewer. Analyze this solution:
+@app.get("/quiz/start")
+def start_quiz(background_tasks: BackgroundTasks, difficulties: str = ",".join(DIFFICULTIES), topics: str = "",
+               user: Dict = Depends(current_user)):
+    """Get the problems to start a quiz. `difficulties` lists one difficulty per
+    problem, in order (a value may repeat); `topics` optionally restricts the quiz
+    to problems tagged with any of the given comma-separated topics."""
+    difficulty_list = parse_list_param(difficulties, DIFFICULTIES, "difficulty")
+    topic_list = parse_list_param(topics, TOPIC_TAGS, "topic")
+    if not 1 <= len(difficulty_list) <= MAX_QUIZ_PROBLEMS:
+        raise HTTPException(status_code=400, detail=f"A quiz has 1 to {MAX_QUIZ_PROBLEMS} problems")
+    try:
+        problems = atomic_pop_problems(difficulty_list, topic_list)
+    except HTTPException:
+        # Topic problems were queued; generate them now if the background generator won't
+        if topic_list and not generator_running:
+            background_tasks.add_task(fill_pool_parallel)
+        raise
+    auth.record_served(user["username"], [p["problem_id"] for p in problems])
+    session_id = create_quiz_session(user, problems, topic_list)
+    return {"session_id": session_id, "problems": problems, "topics": topic_list, "hint_penalties": HINT_PENALTIES}
+
+@app.get("/practice/problem")
+def practice_problem(difficulty: str = ",".join(DIFFICULTIES), user: Dict = Depends(current_user)):
+    """Get one problem for practice mode. `difficulty` is one difficulty or a
+    comma-separated mix to pick from at random."""
+    difficulties = parse_list_param(difficulty, DIFFICULTIES, "difficulty")
+    if not difficulties:
+        raise HTTPException(status_code=400, detail=f"Unknown difficulty: {difficulty}")
+    problem = atomic_pop_problem(difficulties)
+    auth.record_served(user["username"], [problem["problem_id"]])
+    return {"problem": problem}
+
+def bind_served_problem(submission: CodeSubmission, user: Dict):
+    """Grade against the bank's copy of the problem and its signature, not whatever
+    the client sent, and only for a problem that was served to this user."""
+    get_language_name(submission.language)
+    if not auth.was_served(user["username"], submission.problem_id):
+        raise HTTPException(status_code=403, detail="That problem wasn't served to you")
+    with file_lock:
+        bank = load_problem_bank()
+    entry = find_bank_entry(bank, submission.problem_id)
+    submission.problem = entry["problem"]
+    submission.func_signature = signature_for_language(entry["func_signature"], submission.language)
+
+def format_chat_transcript(messages: List[ChatMessage]) -> str:
+    speakers = {"user": "Candidate", "interviewer": "Interviewer"}
+    return "\n\n".join(f"{speakers.get(m.role, m.role)}: {m.content}" for m in messages)
+
+def number_lines(code: str) -> str:
+    return "\n".join(f"{i:>3} | {line}" for i, line in enumerate(code.split("\n"), 1))
+
+def format_hidden_test_results(hidden_tests: Dict) -> str:
+    lines = [f"{hidden_tests['passed']}/{hidden_tests['total']} hidden tests passed."]
+    for r in hidden_tests.get("results", []):
+        if r["status"] != "passed":
+            got = r.get("output") or r.get("message", "")
+            lines.append(f"- input {r['input']}: expected {r['expected']}, got {got}")
+    return "\n".join(lines)
+
+def build_submit_prompt(submission: CodeSubmission, hidden_tests: Optional[Dict] = None) -> str:
+    language_name = get_language_name(submission.language)
+    test_results = ""
+    if hidden_tests:
+        test_results = f"""
+Results of running the solution against the hidden test suite (base correctness and edge-case scores on these):
+{format_hidden_test_results(hidden_tests)}
+"""
+    conversation = ""
+    if submission.chat:
+        conversation = f"""
+Conversation between the candidate and the interviewer while solving (consider how well they clarified the problem):
+{format_chat_transcript(submission.chat)}
+"""
+    return f"""You are a coding interviewer. Grade this {language_name} solution:
 
 Problem:
 {submission.problem}
 
 Function signature: {submission.func_signature}
 
-User's code:
-{submission.code}
-
-Provide:
-1. Score (0-10)
-2. Brief feedback on correctness, style, and edge cases
-
-IMPORTANT: Format your response EXACTLY as shown below.
-Start your response with "SCORE:" followed by a number, then "FEEDBACK:" followed by your feedback.
-Use markdown formatting for feedback (use `code` for inline code, **bold** for emphasis).
-
-SCORE: [number]
-FEEDBACK: [your feedback with markdown formatting]"""
-
-    try:
-        response = client.models.generate_content(
-            model="gemini-3-pro-preview",
-            contents=ai_prompt
-        )
-
-        response_text = fix_markdown_formatting(response.text)
-
-        score_match = re.search(r'SCORE:\s*(\d+)', response_text)
-        score = int(score_match.group(1)) if score_match else 5
-        score = max(0, min(10, score))  # clamp to 0-10
-
-        return {
-            "score": score,
-            "feedback": response_text,
-            "problem_index": submission.problem_index
-        }
-
-    except Exception as e:
-        print(f"ERROR in submit_code: {type(e).__name__}: {str(e)}")
-        import traceback
-        traceback.print_exc()
-        raise HTTPException(status_code=500, detail=f"Failed to evaluate submission: {str(e)}")
-
-@app.post("/quiz/give-up")
-def give_up_solution(submission: CodeSubmission):
-    """Generate solution when user gives up and return 0 score"""
-
-    # Log the incoming data for debugging
-    print(f"Give up request received:")
-    print(f"  - Problem index: {submission.problem_index}")
-    print(f"  - Func signature: {submission.func_signature}")
-    print(f"  - Problem length: {len(submission.problem) if submission.problem else 0}")
-    print(f"  - Code length: {len(submission.code) if submission.code else 0}")
-
-    ai_prompt = f"""You are a coding interviewer. The user gave up on this problem. Generate a complete, correct solution.
+User's code ({language_name}, with line numbers added for reference):
+{number_lines(submission.code)}
+{test_results}{conversation}
+Return a JSON object with these exact keys:
+- "score": overall score from 0 to 10 (integer)
+- "summary": 2-4 sentences of overall feedback, using markdown (`code` for inline code, **bold** for emphasis)
+- "criteria": an object with integer sub-scores from 0 to 10 for {", ".join(f'"{key}"' for key in RUBRIC_CRITERIA)}
+- "time_complexity": Big-O time complexity of the code as written, e.g. "O(n log n)"
+- "space_complexity": Big-O extra space, e.g. "O(1)"
+- "strengths": list of short strings
+- "issues": list of objects with "line" and "end_line" (the line numbers above, omit them if the issue isn't tied to specific lines), "severity" (one of {", ".join(ISSUE_SEVERITIES)}) and "message" (markdown)"""
+
+def build_give_up_prompt(submission: CodeSubmission) -> str:
+    language_name = get_language_name(submission.language)
+    return f"""You are a coding interviewer. The user gave up on this problem. Generate a complete, correct {language_name} solution.
 
 Problem:
 {submission.problem}
@@ -537,20 +1207,20 @@ Problem:
 Function signature: {submission.func_signature}
 
 Provide:
-1. A complete, working Python solution with clear comments
+1. A complete, working {language_name} solution with clear comments
 2. Brief explanation of the approach
 3. Time and space complexity analysis
 
 CRITICAL FORMATTING RULES:
 - You MUST use proper markdown code blocks with triple backticks
-- Format code blocks as: ```python (on its own line) then code then ``` (on its own line)
+- Format code blocks as: ```{submission.language} (on its own line) then code then ``` (on its own line)
 - Do NOT use single backticks for multi-line code
 - Use simple text for Big-O notation like O(n), O(1), etc.
 
 Format your response EXACTLY as:
 
 **SOLUTION:**
-```python
+```{submission.language}
 [complete code here with comments]
 ```
 
@@ -561,13 +1231,117 @@ Format your response EXACTLY as:
 - Time: O(n)
 - Space: O(1)"""
 
+def parse_rubric(text: str, code: str) -> Dict:
+    """Check the grader's JSON and clamp it into shape. Raises ValueError if it isn't usable."""
+    try:
+        data = json.loads(re.sub(r'^```(?:json)?\s*|\s*```$', '', text.strip()))
+        if not isinstance(data, dict) or "score" not in data:
+            raise ValueError("no score")
+
+        def clamp(value) -> int:
+            return max(0, min(10, int(value)))
+
+        line_count = code.count("\n") + 1
+        issues = []
+        for issue in data.get("issues") or []:
+            if not isinstance(issue, dict) or not issue.get("message"):
+                continue
+            line = issue.get("line")
+            line = min(int(line), line_count) if isinstance(line, (int, float)) and line >= 1 else None
+            end_line = issue.get("end_line")
+            end_line = min(max(int(end_line), line), line_count) if line and isinstance(end_line, (int, float)) else line
+            severity = issue.get("severity")
+            issues.append({
+                "line": line,
+                "end_line": end_line,
+                "severity": severity if severity in ISSUE_SEVERITIES else "warning",
+                "message": fix_markdown_formatting(str(issue["message"])),
+            })
+
+        criteria = data.get("criteria") or {}
+        return {
+            "score": clamp(data["score"]),
+            "summary": fix_markdown_formatting(str(data.get("summary") or "")),
+            "criteria": {key: clamp(criteria.get(key) or 0) for key in RUBRIC_CRITERIA},
+            "time_complexity": str(data.get("time_complexity") or "Unknown"),
+            "space_complexity": str(data.get("space_complexity") or "Unknown"),
+            "strengths": [str(item) for item in data.get("strengths") or []],
+            "issues": issues,
+        }
+    except (ValueError, TypeError, AttributeError) as e:
+        raise ValueError(f"Grader returned an invalid rubric ({e})")
+
+def apply_hidden_tests(rubric: Dict, hidden_tests: Optional[Dict]) -> Dict:
+    """Fold the hidden test pass rate into the rubric's score (the grader's own score is kept as ai_score)."""
+    if not hidden_tests:
+        return rubric
+    return {
+        **rubric,
+        "ai_score": rubric["score"],
+        "score": combine_scores(rubric["score"], hidden_tests),
+        "hidden_tests": {"passed": hidden_tests["passed"], "total": hidden_tests["total"]},
+    }
+
+def rubric_to_markdown(rubric: Dict) -> str:
+    """Plain markdown version of a rubric, for history and anywhere that doesn't render the rubric card."""
+    lines = [f"**Score: {rubric['score']}/10**", "", rubric["summary"], "", "| Criterion | Score |", "|---|---|"]
+    lines += [f"| {label} | {rubric['criteria'][key]}/10 |" for key, label in RUBRIC_CRITERIA.items()]
+    lines += ["", f"**Complexity:** time `{rubric['time_complexity']}`, space `{rubric['space_complexity']}`"]
+    if rubric.get("hidden_tests"):
+        lines += ["", f"**Hidden tests:** {rubric['hidden_tests']['passed']}/{rubric['hidden_tests']['total']} passed"]
+    if rubric["strengths"]:
+        lines += ["", "**Strengths:**"] + [f"- {item}" for item in rubric["strengths"]]
+    if rubric["issues"]:
+        lines += ["", "**Issues:**"]
+        for issue in rubric["issues"]:
+            where = ""
+            if issue["line"]:
+                where = f"Line {issue['line']}" if issue["end_line"] == issue["line"] else f"Lines {issue['line']}-{issue['end_line']}"
+                where += ": "
+            lines.append(f"- *{issue['severity']}* — {where}{issue['message']}")
+    return "\n".join(lines)
+
+def grade_submission(submission: CodeSubmission, test_details: bool = True) -> Dict:
+    """Run the hidden tests and have the model grade the code: score, rubric and feedback.
+    Without `test_details` only the hidden tests' pass counts reach the grader and the result."""
+    hidden_tests = run_hidden_tests(submission)
+    if hidden_tests and not test_details:
+        hidden_tests = {"passed": hidden_tests["passed"], "total": hidden_tests["total"]}
+    ai_prompt = build_submit_prompt(submission, hidden_tests)
+
     try:
-        response = client.models.generate_content(
-            model="gemini-3-pro-preview",
-            contents=ai_prompt
-        )
+        response_text = llm.generate(ai_prompt, "grade", schema=GRADING_SCHEMA)
+
+        rubric = apply_hidden_tests(parse_rubric(response_text, submission.code), hidden_tests)
+
+        return {
+            "score": rubric["score"],
+            "rubric": rubric,
+            "hidden_tests": hidden_tests,
+            "feedback": rubric_to_markdown(rubric),
+            "problem_index": submission.problem_index
+        }
+
+    except Exception as e:
+        print(f"ERROR in submit_code: {type(e).__name__}: {str(e)}")
+        import traceback
+        traceback.print_exc()
+        raise HTTPException(status_code=500, detail=f"Failed to evaluate submission: {str(e)}")
 
-        response_text = fix_markdown_formatting(response.text)
+def give_up_result(submission: CodeSubmission) -> Dict:
+    """Generate solution when user gives up and return 0 score"""
+
+    # Log the incoming data for debugging
+    print(f"Give up request received:")
+    print(f"  - Problem index: {submission.problem_index}")
+    print(f"  - Func signature: {submission.func_signature}")
+    print(f"  - Problem length: {len(submission.problem) if submission.problem else 0}")
+    print(f"  - Code length: {len(submission.code) if submission.code else 0}")
+    print(f"  - Language: {submission.language}")
+    ai_prompt = build_give_up_prompt(submission)
+
+    try:
+        response_text = fix_markdown_formatting(llm.generate(ai_prompt, "give_up"))
 
         return {
             "score": 0,
@@ -582,73 +1356,435 @@ Format your response EXACTLY as:
         traceback.print_exc()
         raise HTTPException(status_code=500, detail=f"Failed to generate solution: {str(e)}")
 
-@app.post("/quiz/run-tests")
-def run_tests(request: RunTestsRequest):
-    """Run test cases against user code in a sandboxed process with timeout."""
+@app.post("/quiz/submit")
+def submit_solution(request: QuizSubmission, user: Dict = Depends(current_user)):
+    """Grade a quiz answer, record the score and lock the problem"""
+    claim_problem(request.session_id, request.problem_index)
+    try:
+        submission = quiz_submission(request, user)
+        result = grade_submission(submission)
+        stored = record_quiz_result(request.session_id, submission, user, result)
+    finally:
+        release_problem(request.session_id, request.problem_index)
+    return {**result, "final_score": stored["final_score"]}
 
-    func_sig = request.func_signature
-    match = re.search(r'def\s+(\w+)\s*\(', func_sig)
-    if not match:
-        raise HTTPException(status_code=400, detail="Could not extract function name")
+@app.post("/quiz/give-up")
+def give_up_solution(request: QuizSubmission, user: Dict = Depends(current_user)):
+    """Give up on a quiz problem: record a 0, lock it and return the solution"""
+    claim_problem(request.session_id, request.problem_index)
+    try:
+        submission = quiz_submission(request, user)
+        result = give_up_result(submission)
+        stored = record_quiz_result(request.session_id, submission, user, result)
+    finally:
+        release_problem(request.session_id, request.problem_index)
+    return {**result, "final_score": stored["final_score"]}
+
+@app.post("/practice/submit")
+def submit_practice_solution(submission: CodeSubmission, user: Dict = Depends(current_user)):
+    """Grade a practice answer. Nothing is recorded, so it can be resubmitted. Practice
+    problems come back in quizzes, so the hidden tests' inputs and outputs stay hidden."""
+    bind_served_problem(submission, user)
+    return grade_submission(submission, test_details=False)
+
+@app.post("/quiz/hint")
+def get_hint(request: HintRequest, user: Dict = Depends(current_user)):
+    """Return the hint for `level` (1-3), each more specific than the last"""
+    if request.level not in HINT_LEVELS:
+        raise HTTPException(status_code=400, detail=f"Hint level must be between 1 and {len(HINT_LEVELS)}")
+    language_name = get_language_name(request.language)
+    with sessions_lock:
+        session = _user_session(load_quiz_sessions(), request.session_id, user)
+    key = _open_problem(session, request.problem_index)
+    taken = session["hints"].get(key, [])
+    if request.level != len(taken) + 1:
+        raise HTTPException(status_code=409, detail=f"The next hint for this problem is hint {len(taken) + 1}")
+    entry = session_problem(session, request.problem_index)
+    previous = "\n\n".join(f"Hint {h['level']}: {h['hint']}" for h in taken) or "None"
+
+    ai_prompt = f"""You are a coding interviewer helping a candidate who is stuck. Give hint {request.level} of {len(HINT_LEVELS)}.
 
-    func_name = match.group(1)
-
-    # Basic code safety check — reject obvious dangerous patterns
-    dangerous_patterns = [
-        r'\bimport\s+os\b', r'\bimport\s+sys\b', r'\bimport\s+subprocess\b',
-        r'\bimport\s+shutil\b', r'\b__import__\b', r'\beval\b', r'\bexec\b',
-        r'\bopen\s*\(', r'\bos\.', r'\bsys\.', r'\bsubprocess\.',
-        r'\bglobals\s*\(', r'\blocals\s*\(', r'\bgetattr\b', r'\bsetattr\b',
-        r'\bdelattr\b', r'\bcompile\b',
-    ]
-    for pattern in dangerous_patterns:
-        if re.search(pattern, request.code):
-            return {
-                "results": [{"test_num": 1, "status": "error",
-                             "message": f"Disallowed construct detected: {pattern}"}],
-                "passed": 0, "total": len(request.test_cases)
-            }
+Problem:
+{entry["problem"]}
 
-    results = []
+Function signature: {signature_for_language(entry["func_signature"], request.language)}
 
-    for i, test_case in enumerate(request.test_cases):
-        result = {"test_num": i + 1, "input": test_case.input, "expected": test_case.expected}
+Candidate's current code ({language_name}):
+{request.code}
 
-        exec_result = run_code_sandboxed(
-            request.code, func_name, test_case.input, test_case.expected
-        )
+Hints already given:
+{previous}
 
-        result["status"] = exec_result.get("status", "error")
-        if "output" in exec_result:
-            result["output"] = exec_result["output"]
-        if "message" in exec_result:
-            result["message"] = exec_result["message"]
+This hint should give {HINT_LEVELS[request.level]}.
+Build on the hints already given rather than repeating them, and take the candidate's current code into account.
+Keep it short (a few sentences, or a short list for pseudocode). Use markdown formatting."""
 
-        results.append(result)
+    try:
+        hint = {
+            "level": request.level,
+            "hint": fix_markdown_formatting(llm.generate(ai_prompt, "hint")),
+            "penalty": HINT_PENALTIES[request.level - 1]
+        }
+        with sessions_lock:
+            sessions = load_quiz_sessions()
+            session = _user_session(sessions, request.session_id, user)
+            taken = session["hints"].setdefault(_open_problem(session, request.problem_index), [])
+            if len(taken) != request.level - 1:
+                raise HTTPException(status_code=409, detail="Hint already taken")
+            taken.append(hint)
+            save_quiz_sessions(sessions)
+        return hint
+
+    except HTTPException:
+        raise
 
-    passed = sum(1 for r in results if r["status"] == "passed")
+    except Exception as e:
+        print(f"ERROR in get_hint: {type(e).__name__}: {str(e)}")
+        raise HTTPException(status_code=500, detail=f"Failed to generate hint: {str(e)}")
+
+@app.post("/quiz/chat")
+def chat_with_interviewer(request: ChatRequest, user: Dict = Depends(current_user)):
+    """Reply to the candidate's message as the interviewer. The conversation is kept
+    in the quiz session and goes to the grader with the submission."""
+    if not request.message.strip():
+        raise HTTPException(status_code=400, detail="Empty message")
+    language_name = get_language_name(request.language)
+    with sessions_lock:
+        session = _user_session(load_quiz_sessions(), request.session_id, user)
+    key = _open_problem(session, request.problem_index)
+    entry = session_problem(session, request.problem_index)
+    messages = [ChatMessage(**m) for m in session["chats"].get(key, [])]
+    messages.append(ChatMessage(role="user", content=request.message))
+
+    ai_prompt = f"""You are a friendly but realistic technical interviewer. The candidate is working on this problem in {language_name}.
+
+Problem:
+{entry["problem"]}
+
+Function signature: {signature_for_language(entry["func_signature"], request.language)}
+
+Candidate's current code:
+{request.code}
+
+Conversation so far:
+{format_chat_transcript(messages)}
+
+Reply to the candidate's last message as the interviewer would. Answer clarifying questions about the problem
+(input ranges, edge cases, expected behaviour) directly. If they ask for the solution or for code, do not give it;
+point them at the Hint button instead. Keep replies short and use markdown formatting."""
 
+    try:
+        reply = fix_markdown_formatting(llm.generate(ai_prompt, "chat"))
+        with sessions_lock:
+            sessions = load_quiz_sessions()
+            session = _user_session(sessions, request.session_id, user)
+            session["chats"].setdefault(_open_problem(session, request.problem_index), []).extend([
+                {"role": "user", "content": request.message},
+                {"role": "interviewer", "content": reply},
+            ])
+            save_quiz_sessions(sessions)
+        return {"reply": reply}
+
+    except HTTPException:
+        raise
+
+    except Exception as e:
+        print(f"ERROR in chat_with_interviewer: {type(e).__name__}: {str(e)}")
+        raise HTTPException(status_code=500, detail=f"Failed to get a reply: {str(e)}")
+
+# ---------- Streaming Feedback (Server-Sent Events) ----------
+# Each event is `data: {json}` with a "type" of:
+#   chunk -> {"text"}: the next piece of markdown (the solution, or the rubric summary when grading)
+#   score -> {"score"}: sent as soon as the grader has written the overall score (submit only)
+#   done  -> {"score", "feedback", "problem_index", ...}: same body as the non-streaming endpoint
+#   error -> {"detail"}
+RUBRIC_SCORE = re.compile(r'"score"\s*:\s*(\d+)\s*[,}]')
+
+def partial_json_string(text: str, key: str) -> str:
+    """Decode as much of the string value of `key` as has arrived in an unfinished JSON document."""
+    match = re.search(rf'"{key}"\s*:\s*"', text)
+    if not match:
+        return ""
+    i = match.end()
+    while i < len(text) and text[i] != '"':
+        if text[i] == "\\":
+            step = 6 if text[i + 1:i + 2] == "u" else 2
+            if i + step > len(text):
+                break  # escape sequence cut off mid-chunk
+            i += step
+        else:
+            i += 1
+    try:
+        return json.loads(f'"{text[match.end():i]}"', strict=False)
+    except ValueError:
+        return ""
+
+def _sse(event: Dict) -> str:
+    return f"data: {json.dumps(event)}\n\n"
+
+def stream_feedback_events(submission: CodeSubmission, gave_up: bool, record=None):
+    """`record`, if given, is called with the finished result (before the done
+    event goes out) and returns what was stored for it."""
+    text = ""
+    summary_sent = ""
+    score_sent = False
+    try:
+        hidden_tests = None if gave_up else run_hidden_tests(submission)
+        prompt = build_give_up_prompt(submission) if gave_up else build_submit_prompt(submission, hidden_tests)
+        pieces = llm.stream(prompt, "give_up") if gave_up else llm.stream(prompt, "grade", schema=GRADING_SCHEMA)
+        for piece in pieces:
+            text += piece
+            if gave_up:
+                yield _sse({"type": "chunk", "text": piece})
+                continue
+
+            # Grading comes back as JSON: pass the summary on as it is written
+            if not score_sent:
+                match = RUBRIC_SCORE.search(text)
+                if match:
+                    score_sent = True
+                    score = combine_scores(max(0, min(10, int(match.group(1)))), hidden_tests)
+                    yield _sse({"type": "score", "score": score})
+            summary = partial_json_string(text, "summary")
+            if len(summary) > len(summary_sent):
+                yield _sse({"type": "chunk", "text": summary[len(summary_sent):]})
+                summary_sent = summary
+
+        done = {"type": "done", "problem_index": submission.problem_index}
+        if gave_up:
+            done.update({"score": 0, "feedback": fix_markdown_formatting(text), "gave_up": True})
+        else:
+            rubric = apply_hidden_tests(parse_rubric(text, submission.code), hidden_tests)
+            done.update({"score": rubric["score"], "rubric": rubric, "hidden_tests": hidden_tests,
+                         "feedback": rubric_to_markdown(rubric)})
+        if record:
+            done["final_score"] = record(done)["final_score"]
+        yield _sse(done)
+
+    except HTTPException as e:
+        yield _sse({"type": "error", "detail": e.detail})
+
+    except Exception as e:
+        print(f"ERROR in stream_feedback: {type(e).__name__}: {str(e)}")
+        import traceback
+        traceback.print_exc()
+        yield _sse({"type": "error", "detail": f"Failed to generate feedback: {str(e)}"})
+
+def _sse_response(events) -> StreamingResponse:
+    return StreamingResponse(
+        events,
+        media_type="text/event-stream",
+        headers={"Cache-Control": "no-cache", "X-Accel-Buffering": "no"},
+    )
+
+def quiz_feedback_stream(request: QuizSubmission, user: Dict, gave_up: bool) -> StreamingResponse:
+    """Grade (or give up on) a quiz answer in a thread of its own and stream its events.
+    The problem is claimed before anything is sent and the result recorded whether or
+    not the client reads to the end, so closing the stream after seeing the score
+    can't reopen the problem."""
+    claim_problem(request.session_id, request.problem_index)
+    try:
+        submission = quiz_submission(request, user)  # reject bad requests before streaming starts
+    except Exception:
+        release_problem(request.session_id, request.problem_index)
+        raise
+    record = lambda result: record_quiz_result(request.session_id, submission, user, result)
+    events = queue.Queue()
+
+    def grade():
+        try:
+            for event in stream_feedback_events(submission, gave_up, record):
+                events.put(event)
+        finally:
+            release_problem(request.session_id, request.problem_index)
+            events.put(None)
+
+    threading.Thread(target=grade, daemon=True).start()
+    return _sse_response(iter(events.get, None))
+
+@app.post("/quiz/submit/stream")
+def submit_solution_stream(request: QuizSubmission, user: Dict = Depends(current_user)):
+    """Streaming variant of /quiz/submit (Server-Sent Events). Hidden tests run before the first event."""
+    return quiz_feedback_stream(request, user, gave_up=False)
+
+@app.post("/quiz/give-up/stream")
+def give_up_solution_stream(request: QuizSubmission, user: Dict = Depends(current_user)):
+    """Streaming variant of /quiz/give-up (Server-Sent Events)"""
+    return quiz_feedback_stream(request, user, gave_up=True)
+
+# ---------- Live Pool Updates ----------
+POOL_EVENTS_CHECK_INTERVAL = 0.5  # seconds between checks for a change
+POOL_EVENTS_KEEPALIVE = 15  # seconds; an idle stream gets a comment line so proxies keep it open
+
+async def pool_events(include_log: bool):
+    """A "pool" event (the /pool/status fields, plus the generation log when
+    `include_log`) straight away and again after every change."""
+    version = None
+    idle = 0.0
+    while True:
+        if pool_version != version:
+            version = pool_version
+            status = await asyncio.to_thread(pool_status)
+            if include_log:
+                status["log"] = generation_log_entries()
+            yield _sse({"type": "pool", **status})
+            idle = 0.0
+        elif idle >= POOL_EVENTS_KEEPALIVE:
+            yield ": keepalive\n\n"
+            idle = 0.0
+        await asyncio.sleep(POOL_EVENTS_CHECK_INTERVAL)
+        idle += POOL_EVENTS_CHECK_INTERVAL
+
+@app.get("/pool/events")
+def pool_event_stream(user: Dict = Depends(current_user)):
+    """Server-Sent Events with the pool status as it changes (and the generation log, for admins)"""
+    return _sse_response(pool_events(user["role"] == "admin"))
+
+@app.get("/quiz/{session_id}/results")
+def quiz_results(session_id: str, user: Dict = Depends(current_user)):
+    """Scores as recorded by the server, per problem and in total"""
+    with sessions_lock:
+        session = _user_session(load_quiz_sessions(), session_id, user)
+    problems = []
+    for i, problem in enumerate(session["problems"]):
+        result = session["results"].get(str(i))
+        problems.append({
+            "index": i,
+            "difficulty": problem["difficulty"],
+            "submitted": result is not None,
+            "score": result["score"] if result else None,
+            "final_score": result["final_score"] if result else None,
+            "hint_penalty": result["hint_penalty"] if result else None,
+            "hints_taken": len(session["hints"].get(str(i), [])),
+            "gave_up": result["gave_up"] if result else False,
+            "hidden_tests": ({k: result["hidden_tests"][k] for k in ("passed", "total")}
+                             if result and result["hidden_tests"] else None),
+        })
     return {
-        "results": results,
-        "passed": passed,
-        "total": len(results)
+        "session_id": session_id,
+        "created_at": session["created_at"],
+        "completed_at": session["completed_at"],
+        "topics": session["topics"],
+        "problems": problems,
+        "total": sum(p["final_score"] or 0 for p in problems),
+        "max_total": len(problems) * 10,
     }
 
+@app.post("/quiz/run-tests")
+def run_tests(request: RunTestsRequest, user: Dict = Depends(current_user)):
+    """Run test cases against user code in a sandboxed worker (see sandbox.py)."""
+    return execute_tests(request.code, request.func_signature, request.language, request.test_cases)
+
 @app.post("/pool/clear")
-def clear_pool():
-    """Clear the problem pool"""
+def clear_pool(user: Dict = Depends(admin_user)):
+    """Delete the bank's unserved problems (served ones are kept for history and reuse)"""
+    with file_lock:
+        bank = load_problem_bank()
+        before = len(bank["problems"])
+        bank["problems"] = [e for e in bank["problems"] if e["usage_count"] > 0]
+        save_problem_bank(bank)
+    return {"message": "Pool cleared", "deleted": before - len(bank["problems"])}
+
+# ---------- Problem Bank Admin ----------
+def problem_summary(entry: Dict) -> Dict:
+    return {
+        "id": entry["id"],
+        "title": problem_title(entry["problem"]),
+        "difficulty": entry["difficulty"],
+        "tags": entry["tags"],
+        "complexity": entry["complexity"],
+        "usage_count": entry["usage_count"],
+        "last_served_at": entry["last_served_at"],
+        "flagged": entry["flagged"],
+        "flag_reason": entry["flag_reason"],
+        "generated_at": entry["generated_at"],
+        "hidden_test_count": len(entry["hidden_tests"]),
+    }
+
+@app.get("/admin/problems")
+def list_bank_problems(difficulty: Optional[str] = None, tag: Optional[str] = None,
+                       flagged: Optional[bool] = None, q: Optional[str] = None,
+                       user: Dict = Depends(admin_user)):
+    """Browse the bank, newest first. Filters are optional; q searches the problem text."""
+    with file_lock:
+        bank = load_problem_bank()
+    entries = bank["problems"]
+    if difficulty:
+        entries = [e for e in entries if e["difficulty"] == difficulty]
+    if tag:
+        entries = [e for e in entries if tag in e["tags"]]
+    if flagged is not None:
+        entries = [e for e in entries if e["flagged"] == flagged]
+    if q:
+        entries = [e for e in entries if q.lower() in e["problem"].lower()]
+    entries = sorted(entries, key=lambda e: e["generated_at"] or "", reverse=True)
+    return {"problems": [problem_summary(e) for e in entries], "tags": TOPIC_TAGS}
+
+@app.get("/admin/problems/{problem_id}")
+def get_bank_problem(problem_id: str, user: Dict = Depends(admin_user)):
+    """Full bank entry, including reference solution and hidden tests"""
+    with file_lock:
+        bank = load_problem_bank()
+    return find_bank_entry(bank, problem_id)
+
+@app.put("/admin/problems/{problem_id}")
+def update_bank_problem(problem_id: str, update: ProblemUpdate, user: Dict = Depends(admin_user)):
+    if update.difficulty is not None and update.difficulty not in DIFFICULTIES:
+        raise HTTPException(status_code=400, detail=f"Unknown difficulty: {update.difficulty}")
+    if update.problem is not None and not update.problem.strip():
+        raise HTTPException(status_code=400, detail="Problem text can't be empty")
+    with file_lock:
+        bank = load_problem_bank()
+        entry = find_bank_entry(bank, problem_id)
+        if update.difficulty is not None:
+            entry["difficulty"] = update.difficulty
+        if update.problem is not None:
+            entry["problem"] = update.problem
+        if update.func_signature is not None:
+            entry["func_signature"] = enforce_good_signature(update.func_signature, entry["func_signature"])
+        if update.class_definitions is not None:
+            entry["class_definitions"] = update.class_definitions
+        if update.tags is not None:
+            entry["tags"] = normalize_tags(update.tags)
+        if update.complexity is not None:
+            entry["complexity"] = {"time": update.complexity.get("time", ""), "space": update.complexity.get("space", "")}
+        save_problem_bank(bank)
+    return entry
+
+@app.post("/admin/problems/{problem_id}/flag")
+def flag_bank_problem(problem_id: str, flag: ProblemFlag, user: Dict = Depends(admin_user)):
+    """Flag a problem (broken, unclear, ...) so it is no longer served, or unflag it"""
+    with file_lock:
+        bank = load_problem_bank()
+        entry = find_bank_entry(bank, problem_id)
+        entry["flagged"] = flag.flagged
+        entry["flag_reason"] = flag.reason.strip() if flag.flagged else ""
+        save_problem_bank(bank)
+    return problem_summary(entry)
+
+@app.delete("/admin/problems/{problem_id}")
+def delete_bank_problem(problem_id: str, user: Dict = Depends(admin_user)):
     with file_lock:
-        if PROBLEM_POOL_FILE.exists():
-            PROBLEM_POOL_FILE.unlink()
-    return {"message": "Pool cleared"}
+        bank = load_problem_bank()
+        entry = find_bank_entry(bank, problem_id)
+        bank["problems"].remove(entry)
+        save_problem_bank(bank)
+    return {"message": "Problem deleted"}
 
 # Start generator on startup
 @app.on_event("startup")
 async def startup_event():
     global generator_running
+    print(f"LLM provider: {llm.name}")
+    problem = llm.configuration_error()
+    if problem:
+        print(f"WARNING: {problem} Problem generation, grading, hints and chat will fail until it is fixed "
+              "(or set LLM_PROVIDER=mock to run offline). Background generator not started.")
+        return
     generator_running = True
     thread = threading.Thread(target=background_generator, daemon=True)
     thread.start()
+    pool_changed()
     print("Background generator started")
 
 if __name__ == "__main__":
@@ -0,0 +1,503 @@
+"""Sandboxed execution of Python and JavaScript solutions.
+
+A Python run starts one worker: a fresh `python -I` process running this file in an
+empty temporary directory, which reads the code and every test case as JSON on
+stdin and writes one JSON result per case, a line each, to stdout. Inside the
+worker:
+  - the code (and every test input) is checked before it runs: no attribute
+    names starting with "_" (bar a few everyday dunders like __init__), no
+    frame/traceback attributes, and no dunder names such as __builtins__. That
+    keeps solutions away from __globals__, __subclasses__ and friends, the way
+    back to the real modules behind the allowed ones;
+  - the code gets a restricted set of builtins, and `import` only reaches the
+    modules in ALLOWED_MODULES, as views without their private names or the
+    few functions that look attributes up by string or evaluate strings;
+  - run as root, the worker drops to an unprivileged user; address space and CPU
+    time are capped with rlimits, and it can't write files or start processes;
+  - each case has its own timeout, and what it print()s is captured;
+  - each case reports its runtime and peak memory (traced Python allocations).
+The source check and the restricted imports are what keep a solution inside
+the worker; the empty environment and directory, the unprivileged user and the
+rlimits limit the damage if something gets past them. str.format fields can
+still read attributes, but only ever produce their repr. On Windows there are no
+rlimits, users to drop to or interval timers, so only the overall timeout applies there.
+
+A JavaScript run starts the same worker, which sets the limits, drops privileges
+and then replaces itself with `node` running JS_HARNESS (TypeScript is compiled
+there first, with node's own type stripping). There the code runs in a
+vm context that holds nothing from the host: arguments go in and results come
+out as JSON strings. The vm module is no boundary on its own, so node also runs
+with code generation from strings disabled (the usual way out of a context is
+the host's Function constructor), with its permission model (no file system,
+child processes or worker threads) where it has one, and the harness deletes
+`process` and `require` from its own globals before any of the code runs.
+
+Use run_tests() and run_js() from the server.
+"""
+import ast
+import functools
+import io
+import json
+import operator
+import os
+import shutil
+import subprocess
+import sys
+import tempfile
+import time
+from pathlib import Path
+from typing import Dict, List, Optional, Tuple
+
+# Address space for a worker; SANDBOX_MEMORY_MB in .env overrides it
+DEFAULT_MEMORY_LIMIT_MB = 256
+# Extra seconds for the worker to start up, on top of the per-case timeouts
+STARTUP_ALLOWANCE = 5
+# print() output kept per case
+MAX_LOG_CHARS = 10_000
+RECURSION_LIMIT = 10_000
+
+# Standard-library modules solutions may import (dotted names for submodules)
+ALLOWED_MODULES = [
+    "bisect", "collections", "collections.abc", "functools", "heapq", "itertools",
+    "math", "operator", "re", "string", "typing",
+]
+# Public names left out of the module views: they reach attributes by string
+# (getting around the source check) or evaluate strings as code
+HIDDEN_NAMES = {
+    "functools": {"singledispatch", "singledispatchmethod"},
+    "string": {"Formatter"},
+}
+# typing is only there for annotations, so its view holds just the types
+TYPING_NAMES = [
+    "Any", "Callable", "Counter", "DefaultDict", "Deque", "Dict", "FrozenSet", "Generator", "Iterable",
+    "Iterator", "List", "Mapping", "Optional", "OrderedDict", "Sequence", "Set", "Tuple", "Union",
+]
+
+# Dunder attributes solutions may use; every other name starting with "_" is rejected
+ALLOWED_DUNDERS = {
+    "__init__", "__name__", "__doc__", "__repr__", "__str__", "__len__", "__iter__", "__next__",
+    "__contains__", "__getitem__", "__setitem__", "__eq__", "__ne__", "__lt__", "__le__", "__gt__",
+    "__ge__", "__hash__",
+}
+# Frame, code and traceback attributes: from a generator or coroutine they lead to
+# the worker's own frames and globals
+FRAME_ATTRIBUTES = {
+    "gi_frame", "gi_code", "gi_yieldfrom", "cr_frame", "cr_code", "cr_await", "ag_frame", "ag_code",
+    "ag_await", "f_back", "f_builtins", "f_code", "f_globals", "f_locals", "tb_frame", "tb_next",
+}
+# The unprivileged user a worker started as root switches to
+NOBODY_UID = NOBODY_GID = 65534
+
+# Runs inside `node` (see the module docstring). Reads {code, funcName, cases,
+# timeoutMs, typescript} on stdin and writes one {ok, output | message} per case as a JSON array.
+JS_HARNESS = r"""
+const vm = require('vm');
+const { stripTypeScriptTypes } = require('module');
+const { code, funcName, cases, timeoutMs, typescript } = JSON.parse(require('fs').readFileSync(0, 'utf8'));
+const stdout = process.stdout;
+for (const name of ['process', 'require', 'module', 'exports', '__filename', '__dirname', 'Buffer']) {
+  delete globalThis[name];
+}
+const run = (source) => vm.runInContext(source, context, { timeout: timeoutMs });
+const context = vm.createContext({});
+let results;
+try {
+  run('var console = { log() {}, info() {}, warn() {}, error() {} };');
+  run(typescript ? stripTypeScriptTypes(code, { mode: 'transform' }) : code);
+  if (run(`typeof ${funcName}`) !== 'function') {
+    throw { name: 'ReferenceError', message: `Function '${funcName}' not found` };
+  }
+  // Called inside the context, so everything the code can touch is its own
+  const call = (args) => `(() => {
+    try {
+      const output = ${funcName}(...JSON.parse(${JSON.stringify(JSON.stringify(args))}));
+      return JSON.stringify({ ok: true, output: output === undefined ? null : output });
+    } catch (e) {
+      return JSON.stringify({ ok: false, message: e && e.name ? e.name + ': ' + e.message : String(e) });
+    }
+  })()`;
+  results = cases.map((args) => {
+    try {
+      const outcome = run(call(args));
+      return typeof outcome === 'string' ? JSON.parse(outcome) : { ok: false, message: 'Result is not serializable' };
+    } catch (e) {
+      return { ok: false, message: String(e.message) };
+    }
+  });
+} catch (e) {
+  const message = e && e.name ? `${e.name}: ${e.message}` : String(e);
+  results = cases.map(() => ({ ok: false, message }));
+}
+stdout.write(JSON.stringify(results));
+"""
+
+
+# ---------- Server side ----------
+def run_tests(code: str, func_name: str, cases: List[Dict], timeout: float) -> List[Dict]:
+    """Run `func_name` from `code` on each case ({input, expected} as Python
+    literals) with `timeout` seconds per case. One result per case:
+    {status, output?, message?, logs?, runtime_ms?, peak_memory_kb?}."""
+    if not cases:
+        return []
+    memory_mb = int(os.environ.get("SANDBOX_MEMORY_MB", DEFAULT_MEMORY_LIMIT_MB))
+    payload = json.dumps({"code": code, "func_name": func_name, "cases": cases, "timeout": timeout,
+                          "memory_mb": memory_mb})
+    stdout, failure = _run_worker([], payload, timeout * len(cases) + STARTUP_ALLOWANCE, timeout, memory_mb)
+
+    # A worker that dies part-way still reports the cases it finished
+    results = []
+    for line in stdout.splitlines():
+        try:
+            results.append(json.loads(line))
+        except json.JSONDecodeError:
+            break
+    return results[:len(cases)] + [{"status": "error", "message": failure}] * (len(cases) - len(results))
+
+
+class SandboxUnavailable(Exception):
+    """This server can't run the language: no node, or one too old to compile TypeScript."""
+
+
+def run_js(code: str, func_name: str, cases: List[List], timeout: float, typescript: bool = False) -> List[Dict]:
+    """Run `func_name` from JavaScript (or TypeScript) `code` on each case (its
+    argument list) with `timeout` seconds per case. One outcome per case:
+    {ok: True, output} with the returned value, or {ok: False, message}.
+    Raises SandboxUnavailable when node can't do it."""
+    node = shutil.which("node")
+    if not node:
+        raise SandboxUnavailable("Node.js is required to run JavaScript on the server")
+    flags, strips_types = _node_features(node)
+    if typescript and not strips_types:
+        raise SandboxUnavailable("Node.js 22.13 or later is required to run TypeScript on the server")
+    if not cases:
+        return []
+    memory_mb = int(os.environ.get("SANDBOX_MEMORY_MB", DEFAULT_MEMORY_LIMIT_MB))
+    payload = json.dumps({"code": code, "funcName": func_name, "cases": cases, "timeoutMs": timeout * 1000,
+                          "typescript": typescript})
+    command = ["javascript", str(memory_mb), str(int(timeout * len(cases)) + 1), node, *flags]
+    stdout, failure = _run_worker(command, payload, timeout * len(cases) + STARTUP_ALLOWANCE, timeout, memory_mb)
+    try:
+        outcomes = json.loads(stdout)
+    except json.JSONDecodeError:
+        return [{"ok": False, "message": failure}] * len(cases)
+    return outcomes[:len(cases)] + [{"ok": False, "message": failure}] * (len(cases) - len(outcomes))
+
+
+@functools.lru_cache(maxsize=None)
+def _node_features(node: str) -> Tuple[tuple, bool]:
+    """Options for the node running the harness, and whether it can strip TypeScript
+    types (Node 22.13 on). The permission model's flag is --permission from 22.13 on,
+    --experimental-permission before that (from 20)."""
+    probe = """JSON.stringify({
+      permission: ['--permission', '--experimental-permission'].filter(f => process.allowedNodeEnvironmentFlags.has(f)),
+      typescript: typeof require('module').stripTypeScriptTypes === 'function',
+    })"""
+    try:
+        features = json.loads(subprocess.run([node, "-p", probe], capture_output=True, text=True,
+                                             timeout=STARTUP_ALLOWANCE).stdout)
+    except (OSError, subprocess.TimeoutExpired, json.JSONDecodeError):
+        features = {"permission": [], "typescript": False}
+    return ("--disallow-code-generation-from-strings", *features["permission"][:1]), features["typescript"]
+
+
+def _run_worker(args: List[str], payload: str, overall_timeout: float, timeout: float, memory_mb: int):
+    """Start a worker (this file with `args`), feed it `payload` and wait. Returns its
+    stdout and the message for cases it didn't report on."""
+    # Only what Python needs to start: no API keys or other secrets in the worker's environment
+    env = {k: os.environ[k] for k in ("PATH", "SYSTEMROOT") if k in os.environ}
+    # An empty directory of its own, away from the server's data files
+    with tempfile.TemporaryDirectory(prefix="sandbox-") as workdir:
+        try:
+            proc = subprocess.run(
+                [sys.executable, "-I", str(Path(__file__).resolve()), *args], input=payload, capture_output=True,
+                text=True, env=env, cwd=workdir, timeout=overall_timeout,
+            )
+            return proc.stdout, _crash_message(proc.returncode, proc.stderr, memory_mb)
+        except subprocess.TimeoutExpired as e:
+            stdout = e.stdout.decode(errors="replace") if isinstance(e.stdout, bytes) else e.stdout or ""
+            return stdout, f"Execution timed out ({timeout}s limit)"
+
+
+def _crash_message(returncode: int, stderr: str, memory_mb: int) -> str:
+    if "MemoryError" in stderr or "heap out of memory" in stderr:
+        return f"MemoryError: memory limit exceeded ({memory_mb} MB)"
+    if returncode == -24:  # SIGXCPU: out of CPU time (RLIMIT_CPU)
+        return "Execution timed out (CPU time limit)"
+    return "No result from execution (process may have crashed)"
+
+
+# ---------- Worker side ----------
+class _CaseTimeout(BaseException):
+    """Raised by the interval timer. A BaseException so `except Exception` in user code doesn't swallow it."""
+
+
+class _Output(io.StringIO):
+    """Captured print() output for one case, cut off at MAX_LOG_CHARS."""
+
+    truncated = False
+
+    def write(self, text: str) -> int:
+        if not self.truncated:
+            room = MAX_LOG_CHARS - self.tell()
+            if len(text) > room:
+                super().write(text[:room] + "\n... (output truncated)")
+                self.truncated = True
+            else:
+                super().write(text)
+        return len(text)
+
+
+class _Timer:
+    """Per-case wall-clock timeout via SIGALRM (a no-op where there is no setitimer)."""
+
+    def __init__(self, seconds: float):
+        import signal
+        self.seconds = seconds
+        self.supported = hasattr(signal, "setitimer")
+        self._signal = signal
+
+    def start(self):
+        if self.supported:
+            self._signal.setitimer(self._signal.ITIMER_REAL, self.seconds)
+
+    def stop(self):
+        if self.supported:
+            self._signal.setitimer(self._signal.ITIMER_REAL, 0)
+
+
+def _limit_resources(memory_mb: Optional[int], cpu_seconds: int, single_process: bool = True):
+    """Without `memory_mb` the address space is left alone, and without `single_process`
+    the process count: node reserves far more address space than it uses and needs
+    threads of its own (its heap is capped with --max-old-space-size instead)."""
+    try:
+        import resource
+    except ImportError:
+        return
+    limits = [(resource.RLIMIT_CPU, cpu_seconds, cpu_seconds + 1), (resource.RLIMIT_FSIZE, 0, 0)]
+    if memory_mb:
+        limits.append((resource.RLIMIT_AS, memory_mb * 1024 * 1024, memory_mb * 1024 * 1024))
+    if single_process:
+        limits.append((getattr(resource, "RLIMIT_NPROC", None), 0, 0))
+    for which, soft, hard in limits:
+        if which is None:
+            continue
+        try:
+            resource.setrlimit(which, (soft, hard))
+        except (ValueError, OSError):
+            pass  # not supported here (e.g. RLIMIT_AS on macOS)
+
+
+def _drop_privileges():
+    """Switch to the unprivileged user when started as root: root ignores RLIMIT_NPROC
+    and can read every file on the machine."""
+    if not hasattr(os, "getuid") or os.getuid() != 0:
+        return
+    os.setgroups([])
+    os.setgid(NOBODY_GID)
+    os.setuid(NOBODY_UID)
+
+
+class _ForbiddenSource(Exception):
+    """Code or a test input that fails the source check."""
+
+
+def _forbidden_attribute(name: str) -> bool:
+    return (name.startswith("_") and name not in ALLOWED_DUNDERS) or name in FRAME_ATTRIBUTES
+
+
+def _check_source(source: str, mode: str = "exec"):
+    """Parse `source` and reject what could reach past the restricted builtins and
+    module views: see the module docstring. Returns the AST, ready to compile."""
+    tree = ast.parse(source, mode=mode)
+    for node in ast.walk(tree):
+        attributes = []
+        if isinstance(node, ast.Attribute):
+            attributes = [node.attr]
+        elif isinstance(node, ast.MatchClass):
+            attributes = node.kwd_attrs  # `case C(attr=...)` reads the attribute
+        for attr in attributes:
+            if _forbidden_attribute(attr):
+                raise _ForbiddenSource(f"Attribute '{attr}' is not allowed (line {node.lineno})")
+        if isinstance(node, ast.Name) and node.id.startswith("__") and node.id != "__name__":
+            raise _ForbiddenSource(f"Name '{node.id}' is not allowed (line {node.lineno})")
+    return tree
+
+
+def _guarded_getter(getter):
+    """operator.attrgetter/methodcaller, refusing the names the source check refuses."""
+    def guarded(*names, **kwargs):
+        for name in names if getter is operator.attrgetter else names[:1]:
+            if not isinstance(name, str) or any(_forbidden_attribute(part) for part in name.split(".")):
+                raise AttributeError(f"Attribute '{name}' is not allowed")
+        return getter(*names, **kwargs)
+    return guarded
+
+
+def _module_view(name: str):
+    """`name` with only its public, non-module attributes (allowed submodules as views too)."""
+    import importlib
+    import types
+    module = importlib.import_module(name)
+    public = {}
+    for key, value in vars(module).items():
+        if key.startswith("_") or key in HIDDEN_NAMES.get(name, ()):
+            continue
+        if name == "typing" and key not in TYPING_NAMES:
+            continue
+        if isinstance(value, types.ModuleType):
+            if f"{name}.{key}" in ALLOWED_MODULES:
+                public[key] = _module_view(f"{name}.{key}")
+            continue
+        public[key] = value
+    if name == "operator":
+        public["attrgetter"] = _guarded_getter(operator.attrgetter)
+        public["methodcaller"] = _guarded_getter(operator.methodcaller)
+    return types.SimpleNamespace(**public)
+
+
+def _make_import():
+    views = {}
+
+    def view(name):
+        if name not in views:
+            views[name] = _module_view(name)
+        return views[name]
+
+    def safe_import(name, globals=None, locals=None, fromlist=(), level=0):
+        if level or name not in ALLOWED_MODULES:
+            raise ImportError(f"Importing '{name}' is not allowed (allowed: {', '.join(ALLOWED_MODULES)})")
+        # `import a.b` binds `a`; `from a.b import c` needs `a.b` itself
+        return view(name) if fromlist else view(name.split(".")[0])
+
+    return safe_import
+
+
+def _solution_globals(output_ref: List[_Output]) -> Dict:
+    import builtins
+    from typing import List as TList, Dict as TDict, Set, Tuple, Optional, Union
+
+    def captured_print(*args, sep=" ", end="\n", file=None, flush=False):
+        output_ref[0].write((" " if sep is None else sep).join(map(str, args)) + ("\n" if end is None else end))
+
+    safe_builtins = {name: getattr(builtins, name) for name in [
+        "len", "range", "int", "float", "str", "bool", "list", "dict", "set", "frozenset", "tuple",
+        "bytes", "complex", "object", "slice", "min", "max", "sum", "abs", "round", "sorted", "reversed",
+        "enumerate", "zip", "map", "filter", "any", "all", "iter", "next", "isinstance", "issubclass",
+        "type", "super", "property", "staticmethod", "classmethod", "callable", "hasattr", "repr",
+        "format", "hash", "id", "chr", "ord", "hex", "bin", "oct", "pow", "divmod",
+        "Exception", "ArithmeticError", "AssertionError", "AttributeError", "IndexError", "KeyError",
+        "LookupError", "NameError", "NotImplementedError", "OverflowError", "RecursionError",
+        "RuntimeError", "StopIteration", "TypeError", "ValueError", "ZeroDivisionError",
+        "__build_class__",
+    ]}
+    safe_builtins.update({"print": captured_print, "__import__": _make_import(),
+                          "True": True, "False": False, "None": None})
+    return {
+        "__builtins__": safe_builtins,
+        "__name__": "solution",
+        "List": TList, "Dict": TDict, "Set": Set, "Tuple": Tuple, "Optional": Optional, "Union": Union,
+    }
+
+
+def _describe(e: BaseException) -> str:
+    if isinstance(e, _ForbiddenSource):
+        return f"Not allowed in the sandbox: {e}"
+    if isinstance(e, MemoryError):
+        return "MemoryError: memory limit exceeded"
+    return f"{type(e).__name__}: {e}"
+
+
+def _run_case(function, namespace: Dict, case: Dict, output: _Output, timer) -> Dict:
+    import tracemalloc
+    result = {}
+    try:
+        timer.start()
+        test_input = eval(compile(_check_source(case["input"], "eval"), "<input>", "eval"), namespace)
+        args = test_input if isinstance(test_input, tuple) else (test_input,)
+
+        baseline = tracemalloc.get_traced_memory()[0]
+        tracemalloc.reset_peak()
+        started = time.perf_counter()
+        value = function(*args)
+        result["runtime_ms"] = round((time.perf_counter() - started) * 1000, 3)
+        result["peak_memory_kb"] = round(max(0, tracemalloc.get_traced_memory()[1] - baseline) / 1024, 1)
+
+        result.update({"status": "executed", "output": repr(value)})
+        if case.get("expected"):
+            expected = eval(compile(_check_source(case["expected"], "eval"), "<expected>", "eval"), namespace)
+            result["status"] = "passed" if value == expected else "failed"
+        timer.stop()
+    except _CaseTimeout:
+        result = {"status": "error", "message": f"Execution timed out ({timer.seconds}s limit)"}
+    except Exception as e:
+        timer.stop()
+        result = {"status": "error", "message": _describe(e)}
+    if output.getvalue():
+        result["logs"] = output.getvalue()
+    return result
+
+
+def _worker():
+    import importlib
+    import signal
+    import tracemalloc
+
+    request = json.loads(sys.stdin.read())
+    timeout, cases = request["timeout"], request["cases"]
+    out = sys.stdout
+    _limit_resources(request["memory_mb"], int(timeout * len(cases)) + 1)
+    # Import while the interpreter's files are still readable for sure
+    for name in ALLOWED_MODULES:
+        importlib.import_module(name)
+    _drop_privileges()
+    sys.setrecursionlimit(RECURSION_LIMIT)
+
+    def timed_out(signum, frame):
+        raise _CaseTimeout()
+
+    timer = _Timer(timeout)
+    if timer.supported:
+        signal.signal(signal.SIGALRM, timed_out)
+
+    output_ref = [_Output()]
+    namespace = _solution_globals(output_ref)
+    tracemalloc.start()
+
+    # Running the module body gets a timeout of its own; what it prints goes to the first case
+    function, setup_error = None, None
+    try:
+        code = compile(_check_source(request["code"]), "<solution>", "exec")
+        timer.start()
+        exec(code, namespace)
+        timer.stop()
+        function = namespace.get(request["func_name"])
+        if not callable(function):
+            setup_error = f"Function '{request['func_name']}' not found"
+    except _CaseTimeout:
+        setup_error = f"Execution timed out ({timeout}s limit)"
+    except BaseException as e:
+        timer.stop()
+        setup_error = _describe(e)
+
+    for case in cases:
+        if setup_error:
+            result = {"status": "error", "message": setup_error}
+        else:
+            result = _run_case(function, namespace, case, output_ref[0], timer)
+        out.write(json.dumps(result) + "\n")
+        out.flush()
+        output_ref[0] = _Output()
+
+
+def _node_worker(memory_mb: str, cpu_seconds: str, node: str, *flags: str):
+    """Set the limits and drop privileges, then become node running JS_HARNESS on our stdin."""
+    _limit_resources(None, int(cpu_seconds), single_process=False)
+    _drop_privileges()
+    os.execv(node, [node, *flags, f"--max-old-space-size={memory_mb}", "-e", JS_HARNESS])
+
+
+if __name__ == "__main__":
+    if sys.argv[1:2] == ["javascript"]:
+        _node_worker(*sys.argv[2:])
+    else:
+        _worker()
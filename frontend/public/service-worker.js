@@ -0,0 +1,76 @@
+/* eslint-disable no-restricted-globals */
+// Service worker: keeps the app shell available offline.
+//
+// - Page loads try the network first and fall back to the cached index.html,
+//   so every route works offline once the app has been opened.
+// - The build's own files (listed in asset-manifest.json) are cached on install;
+//   anything else under /static, plus the CDN scripts the app loads (Tailwind,
+//   Monaco), is cached the first time it's fetched.
+// - Everything else, including all API calls, goes straight to the network.
+
+const SHELL_CACHE = 'smarttalk-shell-v1';
+const CDN_CACHE = 'smarttalk-cdn-v1';
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(['/', '/index.html', '/manifest.json', '/icon-192.png', '/icon-512.png']);
+    try {
+      const manifest = await (await fetch('/asset-manifest.json', { cache: 'no-store' })).json();
+      await cache.addAll(Object.values(manifest.files).filter(url => !url.endsWith('.map')));
+    } catch (error) {
+      // Not a production build (or offline): the files get cached as they are used instead
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, CDN_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  // Cross-origin <script> loads come back opaque (status 0); they are still worth keeping
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+const networkFirstPage = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match('/index.html')) || Response.error();
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(networkFirstPage(request));
+  } else if (url.origin === self.location.origin && (url.pathname.startsWith('/static/') || url.pathname.endsWith('.png')
+    || url.pathname === '/manifest.json')) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, CDN_CACHE));
+  }
+});
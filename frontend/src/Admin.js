@@ -0,0 +1,449 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { ArrowLeft, RefreshCw, Flag, Trash2, Pencil, Save, X, Search, Users } from 'lucide-react';
+import MarkdownRenderer from './MarkdownRenderer';
+import PoolPanel from './PoolPanel';
+import { API_URL } from './api';
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Expert'];
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : 'never');
+
+const Tag = ({ children }) => (
+  <span className="text-xs bg-blue-50 text-blue-700 px-2 py-0.5 rounded-full">{children}</span>
+);
+
+// Edit form for a bank entry; tags are picked from the backend's topic list
+const ProblemEditor = ({ problem, allTags, onSave, onCancel }) => {
+  const [draft, setDraft] = useState({
+    difficulty: problem.difficulty,
+    problem: problem.problem,
+    func_signature: problem.func_signature,
+    class_definitions: problem.class_definitions,
+    tags: problem.tags,
+    complexity: problem.complexity,
+  });
+  const [saving, setSaving] = useState(false);
+
+  const set = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const toggleTag = (tag) => set('tags', draft.tags.includes(tag) ? draft.tags.filter(t => t !== tag) : [...draft.tags, tag]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await onSave(draft);
+    } catch (error) {
+      // Already reported; keep the form open with the draft
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <label className="block">
+        <span className="text-gray-600">Difficulty</span>
+        <select
+          value={draft.difficulty}
+          onChange={(e) => set('difficulty', e.target.value)}
+          className="block mt-1 border rounded px-2 py-1 bg-white"
+        >
+          {DIFFICULTIES.map(diff => <option key={diff} value={diff}>{diff}</option>)}
+        </select>
+      </label>
+      <label className="block">
+        <span className="text-gray-600">Problem (markdown)</span>
+        <textarea
+          rows={14}
+          value={draft.problem}
+          onChange={(e) => set('problem', e.target.value)}
+          className="block w-full mt-1 p-2 border rounded font-mono text-xs"
+        />
+      </label>
+      <label className="block">
+        <span className="text-gray-600">Function signature</span>
+        <input
+          value={draft.func_signature}
+          onChange={(e) => set('func_signature', e.target.value)}
+          className="block w-full mt-1 p-2 border rounded font-mono text-xs"
+        />
+      </label>
+      <label className="block">
+        <span className="text-gray-600">Class definitions</span>
+        <textarea
+          rows={3}
+          value={draft.class_definitions}
+          onChange={(e) => set('class_definitions', e.target.value)}
+          className="block w-full mt-1 p-2 border rounded font-mono text-xs"
+        />
+      </label>
+      <div className="flex gap-3">
+        {['time', 'space'].map(key => (
+          <label key={key} className="flex-1">
+            <span className="text-gray-600">Expected {key}</span>
+            <input
+              value={draft.complexity[key] || ''}
+              onChange={(e) => set('complexity', { ...draft.complexity, [key]: e.target.value })}
+              className="block w-full mt-1 p-2 border rounded font-mono text-xs"
+            />
+          </label>
+        ))}
+      </div>
+      <div>
+        <span className="text-gray-600">Tags</span>
+        <div className="flex flex-wrap gap-1 mt-1">
+          {allTags.map(tag => (
+            <button
+              key={tag}
+              onClick={() => toggleTag(tag)}
+              className={`text-xs px-2 py-0.5 rounded-full ${
+                draft.tags.includes(tag) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+              }`}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} className="flex items-center gap-1 px-3 py-1.5 border rounded hover:bg-gray-50">
+          <X size={14} /> Cancel
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving || !draft.problem.trim()}
+          className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400"
+        >
+          {saving ? <RefreshCw className="animate-spin" size={14} /> : <Save size={14} />} Save
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Full view of one bank entry: preview, metadata, reference solution and hidden tests
+const ProblemDetail = ({ problem, allTags, onSave, onFlag, onDelete }) => {
+  const [editing, setEditing] = useState(false);
+
+  const handleSave = async (draft) => {
+    await onSave(draft);
+    setEditing(false);
+  };
+
+  const handleFlag = () => {
+    if (problem.flagged) {
+      onFlag(false, '');
+      return;
+    }
+    const reason = window.prompt('Why flag this problem? (it will no longer be served)');
+    if (reason !== null) onFlag(true, reason);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <div className="flex flex-wrap justify-between items-start gap-2">
+        <div className="space-y-1">
+          <div className="flex items-center gap-2">
+            <span className="text-sm font-medium bg-blue-100 text-blue-800 px-3 py-1 rounded-full">{problem.difficulty}</span>
+            {problem.tags.map(tag => <Tag key={tag}>{tag}</Tag>)}
+          </div>
+          <p className="text-xs text-gray-500">
+            Served {problem.usage_count} time{problem.usage_count === 1 ? '' : 's'} · last {formatDate(problem.last_served_at)} ·
+            generated {formatDate(problem.generated_at)}
+            {problem.generation_time ? ` in ${problem.generation_time.toFixed(1)}s` : ''}
+          </p>
+        </div>
+        {!editing && (
+          <div className="flex gap-2">
+            <button onClick={() => setEditing(true)} className="flex items-center gap-1 px-3 py-1.5 border rounded text-sm hover:bg-gray-50">
+              <Pencil size={14} /> Edit
+            </button>
+            <button
+              onClick={handleFlag}
+              className={`flex items-center gap-1 px-3 py-1.5 border rounded text-sm hover:bg-gray-50 ${problem.flagged ? 'text-yellow-700' : ''}`}
+            >
+              <Flag size={14} /> {problem.flagged ? 'Unflag' : 'Flag'}
+            </button>
+            <button onClick={onDelete} className="flex items-center gap-1 px-3 py-1.5 border rounded text-sm text-red-600 hover:bg-red-50">
+              <Trash2 size={14} /> Delete
+            </button>
+          </div>
+        )}
+      </div>
+
+      {problem.flagged && (
+        <div className="p-2 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+          Flagged{problem.flag_reason ? `: ${problem.flag_reason}` : ''} — not served in quizzes or practice.
+        </div>
+      )}
+
+      {editing ? (
+        <ProblemEditor problem={problem} allTags={allTags} onSave={handleSave} onCancel={() => setEditing(false)} />
+      ) : (
+        <>
+          <div className="prose prose-sm max-w-none break-words overflow-hidden">
+            <MarkdownRenderer content={problem.problem} />
+          </div>
+          <div className="flex gap-4 text-sm">
+            <span>Signature: <code className="font-mono">{problem.func_signature}</code></span>
+          </div>
+          <div className="flex gap-4 text-sm">
+            <span>Time: <code className="font-mono">{problem.complexity?.time || '?'}</code></span>
+            <span>Space: <code className="font-mono">{problem.complexity?.space || '?'}</code></span>
+          </div>
+          <details>
+            <summary className="cursor-pointer text-sm font-semibold text-gray-700">Reference solution</summary>
+            <div className="prose prose-sm max-w-none overflow-x-auto mt-2">
+              <MarkdownRenderer content={`\`\`\`python\n${problem.class_definitions ? `${problem.class_definitions}\n\n` : ''}${problem.reference_solution}\n\`\`\``} />
+            </div>
+          </details>
+          <details>
+            <summary className="cursor-pointer text-sm font-semibold text-gray-700">
+              Hidden tests ({problem.hidden_tests.length})
+            </summary>
+            <ul className="mt-2 space-y-1 text-xs font-mono">
+              {problem.hidden_tests.map((test, i) => (
+                <li key={i} className="bg-gray-50 rounded p-1 break-all">{test.input} → {test.expected}</li>
+              ))}
+            </ul>
+          </details>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Accounts and their roles; admins can use this page and the generator endpoints
+const UserRoles = () => {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/admin/users`)
+      .then(response => {
+        setUsers(response.data.users);
+        setRoles(response.data.roles);
+      })
+      .catch(error => console.error('ERROR', error));
+  }, []);
+
+  const handleRoleChange = async (username, role) => {
+    try {
+      const response = await axios.put(`${API_URL}/admin/users/${encodeURIComponent(username)}/role`, { role });
+      setUsers(prev => prev.map(u => (u.username === username ? response.data : u)));
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to change role: ${error.response?.data?.detail || error.message}`);
+    }
+  };
+
+  return (
+    <details className="bg-white rounded-lg shadow p-4">
+      <summary className="cursor-pointer font-semibold text-gray-700 flex items-center gap-2">
+        <Users size={16} /> Users ({users.length})
+      </summary>
+      <div className="mt-3 space-y-1">
+        {users.map(u => (
+          <div key={u.username} className="flex justify-between items-center text-sm">
+            <span>{u.username}</span>
+            <select
+              value={u.role}
+              onChange={(e) => handleRoleChange(u.username, e.target.value)}
+              className="text-sm border rounded px-2 py-1 bg-white"
+            >
+              {roles.map(role => <option key={role} value={role}>{role}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+    </details>
+  );
+};
+
+// Problem bank admin: browse, preview, edit, flag and delete problems, and manage generation.
+// `pool` is the live pool status from App.
+const Admin = ({ pool, onBack }) => {
+  const [problems, setProblems] = useState([]);
+  const [allTags, setAllTags] = useState([]);
+  const [filters, setFilters] = useState({ difficulty: '', tag: '', flagged: '', q: '' });
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const fetchProblems = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+      const list = await axios.get(`${API_URL}/admin/problems`, { params });
+      setProblems(list.data.problems);
+      setAllTags(list.data.tags);
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to load the problem bank: ${error.response?.data?.detail || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  // The list follows the bank: reload whenever a problem is added or removed
+  const bankSize = pool?.bank_size;
+  useEffect(() => {
+    fetchProblems();
+  }, [fetchProblems, bankSize]);
+
+  const selectProblem = async (id) => {
+    try {
+      const response = await axios.get(`${API_URL}/admin/problems/${id}`);
+      setSelected(response.data);
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to load problem: ${error.response?.data?.detail || error.message}`);
+    }
+  };
+
+  const handleSave = async (draft) => {
+    try {
+      const response = await axios.put(`${API_URL}/admin/problems/${selected.id}`, draft);
+      setSelected(response.data);
+      fetchProblems();
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to save problem: ${error.response?.data?.detail || error.message}`);
+      throw error;
+    }
+  };
+
+  const handleFlag = async (flagged, reason) => {
+    try {
+      const response = await axios.post(`${API_URL}/admin/problems/${selected.id}/flag`, { flagged, reason });
+      setSelected(prev => ({ ...prev, flagged: response.data.flagged, flag_reason: response.data.flag_reason }));
+      fetchProblems();
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to flag problem: ${error.response?.data?.detail || error.message}`);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this problem from the bank? This cannot be undone.')) return;
+    try {
+      await axios.delete(`${API_URL}/admin/problems/${selected.id}`);
+      setSelected(null);
+      fetchProblems();
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to delete problem: ${error.response?.data?.detail || error.message}`);
+    }
+  };
+
+  const setFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="min-h-screen dark-dynamic-bg">
+      <header className="bg-white shadow px-4 py-4 sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto flex flex-wrap gap-4 justify-between items-center">
+          <div className="flex items-center gap-3">
+            <button onClick={onBack} className="text-gray-600 hover:text-gray-900"><ArrowLeft size={20} /></button>
+            <h1 className="text-xl font-bold">Problem Bank</h1>
+            {pool && (
+              <span className="text-xs font-mono text-gray-500">
+                {pool.bank_size} problems · unserved {DIFFICULTIES.map(d => `${d} ${pool.status[d]}`).join(', ')}
+              </span>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={fetchProblems}
+              disabled={loading}
+              className="p-2 border rounded text-gray-700 hover:bg-gray-50"
+              title="Refresh"
+            >
+              <RefreshCw className={loading ? 'animate-spin' : ''} size={16} />
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto p-4 lg:p-6 grid grid-cols-12 gap-6">
+        <aside className="col-span-12 lg:col-span-5 space-y-4">
+          <PoolPanel pool={pool} onCleared={() => setSelected(null)} />
+          <UserRoles />
+          <div className="bg-white rounded-lg shadow p-4 space-y-2">
+            <div className="flex items-center gap-2 border rounded px-2">
+              <Search size={14} className="text-gray-400" />
+              <input
+                placeholder="Search problem text"
+                value={filters.q}
+                onChange={(e) => setFilter('q', e.target.value)}
+                className="flex-1 py-1 text-sm outline-none"
+              />
+            </div>
+            <div className="flex gap-2">
+              <select value={filters.difficulty} onChange={(e) => setFilter('difficulty', e.target.value)} className="flex-1 text-sm border rounded px-2 py-1 bg-white">
+                <option value="">All difficulties</option>
+                {DIFFICULTIES.map(diff => <option key={diff} value={diff}>{diff}</option>)}
+              </select>
+              <select value={filters.tag} onChange={(e) => setFilter('tag', e.target.value)} className="flex-1 text-sm border rounded px-2 py-1 bg-white">
+                <option value="">All tags</option>
+                {allTags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+              </select>
+              <select value={filters.flagged} onChange={(e) => setFilter('flagged', e.target.value)} className="flex-1 text-sm border rounded px-2 py-1 bg-white">
+                <option value="">Flagged or not</option>
+                <option value="true">Flagged</option>
+                <option value="false">Not flagged</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-4">
+            <h3 className="font-semibold text-gray-700 mb-3">Problems ({problems.length})</h3>
+            {problems.length === 0 && <p className="text-sm text-gray-500">No problems match.</p>}
+            <div className="space-y-1 max-h-[70vh] overflow-y-auto">
+              {problems.map(problem => (
+                <button
+                  key={problem.id}
+                  onClick={() => selectProblem(problem.id)}
+                  className={`w-full text-left text-sm px-2 py-2 rounded ${
+                    selected?.id === problem.id ? 'bg-blue-50 text-blue-800' : 'hover:bg-gray-50'
+                  }`}
+                >
+                  <div className="flex justify-between gap-2">
+                    <span className="font-medium truncate">
+                      {problem.flagged && <Flag size={12} className="inline text-yellow-600 mr-1" />}
+                      {problem.title}
+                    </span>
+                    <span className="text-xs text-gray-500 shrink-0">{problem.difficulty}</span>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-1 mt-1">
+                    {problem.tags.map(tag => <Tag key={tag}>{tag}</Tag>)}
+                    <span className="text-xs text-gray-500 ml-auto">
+                      used {problem.usage_count}× · {problem.hidden_test_count} tests
+                    </span>
+                  </div>
+                </button>
+              ))}
+            </div>
+          </div>
+        </aside>
+
+        <section className="col-span-12 lg:col-span-7">
+          {selected ? (
+            <ProblemDetail
+              key={selected.id}
+              problem={selected}
+              allTags={allTags}
+              onSave={handleSave}
+              onFlag={handleFlag}
+              onDelete={handleDelete}
+            />
+          ) : (
+            <div className="bg-white rounded-lg shadow p-8 text-center text-gray-600">
+              Select a problem to preview it.
+            </div>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default Admin;
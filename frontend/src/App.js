@@ -1,200 +1,110 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import Editor from '@monaco-editor/react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import Editor, { useMonaco } from '@monaco-editor/react';
+import { Routes, Route, Navigate, useNavigate, useMatch } from 'react-router-dom';
 import axios from 'axios';
-import ReactMarkdown from 'react-markdown';
-import remarkGfm from 'remark-gfm';
-import remarkMath from 'remark-math';
-import rehypeKatex from 'rehype-katex';
-import 'katex/dist/katex.min.css';
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { okaidia } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import {
-  Play,
   Send,
   RefreshCw,
   ChevronRight,
-  Plus,
   Trash2,
-  Flag
+  Flag,
+  RotateCcw,
+  Timer,
+  BarChart3,
+  Database,
+  Dumbbell,
+  XCircle,
+  Lightbulb,
+  Plus,
+  Minus,
+  LogOut,
+  Film,
+  Download,
+  Wifi,
+  WifiOff
 } from 'lucide-react';
+import { loadQuizSession, loadQuizRecordings, saveQuizSession, clearQuizSession } from './quizStorage';
+import { formatProblemExamples, parseProblemExamples } from './problemExamples';
+import {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  getStarterCode
+} from './languages';
+import { API_URL, runTests, streamFeedback, isNetworkError, followPoolStatus } from './api';
+import { handleEditorWillMount, EDITOR_OPTIONS } from './editorConfig';
+import MarkdownRenderer from './MarkdownRenderer';
+import TestCases, { HiddenTestResults } from './TestCases';
+import InterviewerChat, { ChatTranscript } from './InterviewerChat';
+import RubricCard from './RubricCard';
+import History from './History';
+import Practice from './Practice';
+import Admin from './Admin';
+import Login from './Login';
+import Replay from './Replay';
+import ReplayPlayer from './ReplayPlayer';
+import ReportExport from './ReportExport';
+import { snapshotEvent, editEvent, runEvent, submitEvent, giveUpEvent, createReplay } from './recording';
+import { loadAuth, clearAuth, isAdmin, onLogout } from './auth';
+import { addQuizToHistory, withServerResults } from './quizHistory';
+import {
+  getBufferedQuiz,
+  saveBufferedQuiz,
+  deleteBufferedQuiz,
+  queueSubmission,
+  listQueuedSubmissions,
+  deleteQueuedSubmission
+} from './offlineStore';
+import {
+  TIME_LIMIT_OPTIONS,
+  formatDuration,
+  getProblemBudget,
+  getTimeLevel
+} from './timer';
 
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000';
-
-// Define Monokai dark theme for Monaco editor
-const handleEditorWillMount = (monaco) => {
-  monaco.editor.defineTheme('monokai-dark', {
-    base: 'vs-dark',
-    inherit: true,
-    rules: [
-      { token: 'comment', foreground: '75715E', fontStyle: 'italic' },
-      { token: 'keyword', foreground: 'F92672' },
-      { token: 'string', foreground: 'E6DB74' },
-      { token: 'number', foreground: 'AE81FF' },
-      { token: 'type', foreground: '66D9EF', fontStyle: 'italic' },
-      { token: 'class', foreground: 'A6E22E' },
-      { token: 'function', foreground: 'A6E22E' },
-      { token: 'variable', foreground: 'F8F8F2' },
-      { token: 'operator', foreground: 'F92672' },
-      { token: 'delimiter', foreground: 'F8F8F2' },
-      { token: 'constant', foreground: 'AE81FF' },
-      { token: 'decorator', foreground: 'F92672' },
-    ],
-    colors: {
-      'editor.background': '#272822',
-      'editor.foreground': '#F8F8F2',
-      'editor.lineHighlightBackground': '#3E3D32',
-      'editor.selectionBackground': '#49483E',
-      'editorCursor.foreground': '#F8F8F0',
-      'editorWhitespace.foreground': '#3B3A32',
-      'editorLineNumber.foreground': '#90908A',
-      'editorLineNumber.activeForeground': '#F8F8F2',
-      'editor.selectionHighlightBackground': '#49483E88',
-      'editorIndentGuide.background': '#3B3A32',
-      'editorIndentGuide.activeBackground': '#767771',
-      'editorWidget.background': '#1E1F1C',
-      'editorSuggestWidget.background': '#272822',
-      'editorSuggestWidget.border': '#75715E',
-      'scrollbarSlider.background': '#49483E80',
-      'scrollbarSlider.hoverBackground': '#49483EA0',
-      'scrollbarSlider.activeBackground': '#49483ECC',
-    },
-  });
-};
-
-// Helper to get starter code
-const getStarterCode = (funcSignature, classDefs) => {
-  let code = '';
-  if (classDefs && classDefs.trim()) {
-    code += classDefs.trim() + '\n\n';
-  }
-  code += (funcSignature || 'def solve():') + '\n    pass';
-  return code;
-};
-
-/**
- * Format problem text so that Examples, Input, Output, and Explanation
- * each start on their own line with clear visual breaks.
- */
-const formatProblemExamples = (text) => {
-  if (!text) return text;
-
-  // Ensure **Example N:** always starts on a new line with a blank line before it
-  text = text.replace(/([^\n])\s*(\*\*Example\s*\d+)/g, '$1\n\n$2');
-
-  // Ensure Input: / Output: / Explanation: each start on their own line
-  // Handle both bold and non-bold variants
-  text = text.replace(/([^\n])\s*(\*?\*?Input\*?\*?\s*:)/g, '$1\n$2');
-  text = text.replace(/([^\n])\s*(\*?\*?Output\*?\*?\s*:)/g, '$1\n$2');
-  text = text.replace(/([^\n])\s*(\*?\*?Explanation\*?\*?\s*:)/g, '$1\n$2');
-
-  // Ensure **Constraints:** gets a blank line before it
-  text = text.replace(/([^\n])\s*(\*\*Constraints?\*?\*?\s*:)/g, '$1\n\n$2');
-
-  // Clean up triple+ newlines to just double
-  text = text.replace(/\n{3,}/g, '\n\n');
-
-  return text;
+const AUTOSAVE_DELAY_MS = 800;
+// Wait before reconnecting to the live pool status after the connection drops
+const POOL_RECONNECT_MS = 5000;
+// Shown in place of feedback for an answer waiting to be sent for grading
+const QUEUED_FEEDBACK = "You're offline, so this answer is queued. It will be graded automatically once the connection is back.";
+const CANCELLED_FEEDBACK = 'Feedback cancelled. The answer is still graded and recorded on the server; its score shows on the results page.';
+// Backoff between attempts to send queued answers the server failed to grade (5xx)
+const SYNC_RETRY_MIN_MS = 5000;
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
+// Whether the server turned a queued answer down for good (e.g. 404/409/422) rather than failing for now
+const isRejectedForGood = (error) => {
+  const status = error.response?.status;
+  return status >= 400 && status < 500 && ![401, 408, 429].includes(status);
 };
+// How often (in seconds) the running clock is written to the saved session
+const TIMER_SAVE_INTERVAL = 5;
 
-// Sanitize broken markdown from LLM responses before rendering
-const sanitizeMarkdown = (text) => {
-  if (!text) return text;
-
-  // Fix inline code followed by stray triple backticks: `foo` ``` bar -> `foo` bar
-  text = text.replace(/(`[^`\n]+`)\s*```\s*/g, '$1 ');
-
-  // Remove stray ``` that appear mid-line (not at line start, not inside code blocks)
-  const lines = text.split('\n');
-  const cleaned = [];
-  let inCodeBlock = false;
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (trimmed.startsWith('```')) {
-      if (inCodeBlock) {
-        inCodeBlock = false;
-        cleaned.push(line);
-      } else if (trimmed === '```') {
-        // Check if there's a matching close
-        const remaining = lines.slice(cleaned.length + 1).join('\n');
-        if (remaining.includes('```')) {
-          inCodeBlock = true;
-          cleaned.push(line);
-        }
-        // else orphan, skip
-      } else {
-        inCodeBlock = true;
-        cleaned.push(line);
-      }
-    } else if (!inCodeBlock && line.includes('```')) {
-      // Remove stray triple backticks mid-line
-      cleaned.push(line.replace(/```\s*/g, ''));
-    } else {
-      cleaned.push(line);
-    }
-  }
-  return cleaned.join('\n');
-};
-
-// Markdown renderer component with code highlighting
-const MarkdownRenderer = ({ content }) => {
+// Countdown badge for the sticky header
+const Countdown = ({ label, remaining, limit }) => {
+  const level = getTimeLevel(remaining, limit);
   return (
-    <ReactMarkdown
-      remarkPlugins={[remarkGfm, remarkMath]}
-      rehypePlugins={[rehypeKatex]}
-      components={{
-        code({ node, inline, className, children, ...props }) {
-          const match = /language-(\w+)/.exec(className || '');
-          return !inline && match ? (
-            <SyntaxHighlighter
-              style={okaidia}
-              language={match[1]}
-              PreTag="div"
-              customStyle={{
-                borderRadius: '0.5rem',
-                padding: '1rem',
-                maxWidth: '100%',
-                overflowX: 'auto',
-                wordBreak: 'break-word',
-                whiteSpace: 'pre-wrap'
-              }}
-              {...props}
-            >
-              {String(children).replace(/\n$/, '')}
-            </SyntaxHighlighter>
-          ) : (
-            <code className="bg-pink-100 text-pink-700 px-1.5 py-0.5 rounded text-sm font-mono break-all" {...props}>
-              {children}
-            </code>
-          );
-        },
-        // Give paragraphs containing Example/Input/Output/Explanation better spacing
-        p({ children, ...props }) {
-          const text = typeof children === 'string' ? children : '';
-          const isExample = /^Example\s*\d+/.test(text) ||
-            (Array.isArray(children) && children.some(c =>
-              typeof c === 'object' && c?.props?.children &&
-              /^Example\s*\d+/.test(String(c.props.children))
-            ));
-
-          return (
-            <p
-              className={isExample ? 'mt-5 mb-1 font-semibold text-blue-700' : 'mb-2'}
-              {...props}
-            >
-              {children}
-            </p>
-          );
-        }
-      }}
-    >
-      {sanitizeMarkdown(content)}
-    </ReactMarkdown>
+    <span className={`text-sm font-mono font-medium px-3 py-1 rounded-full flex items-center gap-1 ${
+      level === 'critical'
+        ? 'bg-red-100 text-red-700 animate-pulse'
+        : level === 'warning'
+          ? 'bg-yellow-100 text-yellow-800'
+          : 'bg-gray-100 text-gray-700'
+    }`}>
+      <Timer size={14} /> {label} {formatDuration(remaining)}
+    </span>
   );
 };
 
 // Quiz Progress Component
-const QuizProgress = ({ submitted, scores, gaveUp }) => {
-  const difficulties = ['Easy', 'Medium', 'Hard', 'Expert'];
+const MAX_HINTS = 3;
+// Used until /quiz/start says otherwise (the backend's HINT_PENALTIES)
+const DEFAULT_HINT_PENALTIES = [1, 2, 3];
+
+// Points deducted from a problem's score for the hints taken on it
+const hintPenaltyOf = (problemHints) => (problemHints || []).reduce((sum, h) => sum + h.penalty, 0);
+const finalScoreOf = (score, problemHints) => Math.max(0, (score || 0) - hintPenaltyOf(problemHints));
+
+// pendingSync[i] is set while problem i's submission waits to be sent for grading
+const QuizProgress = ({ problems, submitted, pendingSync, scores, gaveUp, hints, timeSpent }) => {
   const completed = Object.values(submitted).filter(Boolean).length;
   return (
     <div className="bg-white rounded-lg shadow p-4">
@@ -202,23 +112,33 @@ const QuizProgress = ({ submitted, scores, gaveUp }) => {
       <div className="mb-3">
         <div className="flex justify-between text-sm mb-1">
           <span>Progress</span>
-          <span>{completed}/4</span>
+          <span>{completed}/{problems.length}</span>
         </div>
         <div className="w-full bg-gray-200 rounded-full h-2">
-          <div className="bg-green-500 h-2 rounded-full transition-all" style={{ width: `${(completed / 4) * 100}%` }} />
+          <div className="bg-green-500 h-2 rounded-full transition-all" style={{ width: `${(completed / problems.length) * 100}%` }} />
         </div>
       </div>
-      {difficulties.map((diff, i) => (
-        <div key={diff} className="flex justify-between text-sm py-1">
+      {problems.map((problem, i) => (
+        <div key={i} className="flex justify-between text-sm py-1">
           <span>
-            {submitted[i] ? (gaveUp[i] ? 'Gave up' : 'Done') : 'Pending'} - {diff}
+            {submitted[i] ? (gaveUp[i] ? 'Gave up' : 'Done') : 'Pending'} - {problem.difficulty}
           </span>
-          <span>
-            {submitted[i]
-              ? gaveUp[i]
-                ? '0/10 (gave up)'
-                : `${scores[i] || 0}/10`
-              : 'Pending'}
+          <span className="flex gap-3">
+            <span className="font-mono text-gray-400">{formatDuration(timeSpent[i])}</span>
+            {hints[i]?.length > 0 && !gaveUp[i] && (
+              <span className="flex items-center gap-1 text-amber-600" title={`${hints[i].length} hint(s) taken`}>
+                <Lightbulb size={14} />-{hintPenaltyOf(hints[i])}
+              </span>
+            )}
+            <span>
+              {pendingSync[i]
+                ? 'Queued'
+                : submitted[i]
+                ? gaveUp[i]
+                  ? '0/10 (gave up)'
+                  : `${finalScoreOf(scores[i], hints[i])}/10`
+                : 'Pending'}
+            </span>
           </span>
         </div>
       ))}
@@ -226,66 +146,107 @@ const QuizProgress = ({ submitted, scores, gaveUp }) => {
   );
 };
 
-// Test Case Component
-const TestCases = ({ testCases, onAdd, onDelete, onRun, canRun, results }) => {
-  const [input, setInput] = useState('');
-  const [expected, setExpected] = useState('');
-  const handleAdd = () => {
-    if (input.trim()) {
-      onAdd({ input: input.trim(), expected: expected.trim() });
-      setInput(''); setExpected('');
-    }
-  };
-  return (
-    <div className="bg-white rounded-lg shadow p-4">
-      <h3 className="font-semibold text-gray-700 mb-3">Test Cases</h3>
-      <div className="mb-4 p-3 bg-gray-50 rounded">
-        <input type="text" placeholder='Input: [1, 2]' value={input} onChange={(e) => setInput(e.target.value)} className="w-full p-2 border rounded mb-2 text-sm font-mono" />
-        <input type="text" placeholder="Expected output" value={expected} onChange={(e) => setExpected(e.target.value)} className="w-full p-2 border rounded mb-2 text-sm font-mono" />
-        <button onClick={handleAdd} className="flex items-center gap-1 px-3 py-1 bg-blue-500 text-white rounded text-sm"><Plus size={14} /> Add</button>
+// Final Results Component
+// Scores come from the server's record of the quiz (`results`, from /quiz/{id}/results), not from
+// local state; `error` says why it couldn't be loaded. Submissions still queued offline
+// (pendingCount) are graded before the results can be shown. `quiz` is the quiz's history
+// record with the server's scores, for the exported report.
+const FinalResults = ({
+  results, error, pendingCount, chats, replay, quiz, timeSpent, timeLimit, onRestart, onShowHistory
+}) => {
+
+  if (pendingCount) {
+    return (
+      <div className="max-w-2xl mx-auto bg-white rounded-lg shadow-lg p-8 text-center">
+        <h1 className="text-3xl font-bold mb-4">Quiz Complete!</h1>
+        <p className="text-gray-600">
+          {pendingCount} submission{pendingCount > 1 ? 's are' : ' is'} queued and will be graded when you're back online.
+        </p>
       </div>
-      <div className="space-y-2 mb-4">
-        {testCases.map((tc, i) => (
-          <div key={i} className="flex justify-between p-2 bg-gray-50 rounded text-xs font-mono">
-            <div>In: {tc.input} {results?.[i] && (results[i].status === 'passed' ? 'PASS' : 'FAIL')}</div>
-            <button onClick={() => onDelete(i)} className="text-red-500"><Trash2 size={14} /></button>
-          </div>
-        ))}
+    );
+  }
+
+  if (!results) {
+    return (
+      <div className="max-w-2xl mx-auto bg-white rounded-lg shadow-lg p-8 text-center">
+        {error
+          ? <p className="text-red-600">Failed to load results: {error}</p>
+          : <RefreshCw className="animate-spin mx-auto text-gray-400" size={32} />}
       </div>
-      <button onClick={onRun} disabled={!canRun || testCases.length === 0} className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-green-500 text-white rounded disabled:bg-gray-300">
-        <Play size={16} /> Run Tests
-      </button>
-    </div>
-  );
-};
+    );
+  }
 
-// Final Results Component
-const FinalResults = ({ scores, gaveUp, onRestart }) => {
-  const totalScore = Object.values(scores).reduce((a, b) => a + b, 0);
-  const difficulties = ['Easy', 'Medium', 'Hard', 'Expert'];
-  const gaveUpCount = Object.values(gaveUp).filter(Boolean).length;
+  const { problems, topics } = results;
+  const totalPenalty = problems.reduce((sum, p) => sum + (p.hint_penalty || 0), 0);
+  const totalTime = Object.values(timeSpent).reduce((a, b) => a + b, 0);
+  const gaveUpCount = problems.filter(p => p.gave_up).length;
 
   return (
     <div className="max-w-2xl mx-auto bg-white rounded-lg shadow-lg p-8 text-center">
       <h1 className="text-3xl font-bold mb-6">Quiz Complete!</h1>
       <div className="text-6xl mb-4"></div>
-      <div className="text-4xl font-bold mb-2">{totalScore}/40</div>
+      <div className="text-4xl font-bold mb-2">{results.total}/{results.max_total}</div>
+      {topics.length > 0 && (
+        <p className="text-sm text-gray-500 mb-4">Topics: {topics.join(', ')}</p>
+      )}
       {gaveUpCount > 0 && (
         <p className="text-sm text-gray-500 mb-4">
           Gave up on {gaveUpCount} problem{gaveUpCount > 1 ? 's' : ''}
         </p>
       )}
+      {totalPenalty > 0 && (
+        <p className="text-sm text-amber-600 mb-4">
+          Includes -{totalPenalty} for hints
+        </p>
+      )}
+      <p className="text-sm text-gray-500 mb-4">
+        Time: {formatDuration(totalTime)}{timeLimit && ` of ${formatDuration(timeLimit.totalMinutes * 60)}`}
+      </p>
       <div className="text-left max-w-xs mx-auto mb-6 space-y-1">
-        {difficulties.map((diff, i) => (
-          <div key={diff} className="flex justify-between text-sm">
-            <span>{gaveUp[i] ? 'Gave up' : 'Done'} - {diff}</span>
-            <span className={gaveUp[i] ? 'text-gray-400' : ''}>{scores[i] || 0}/10</span>
+        {problems.map((problem, i) => (
+          <div key={i} className="flex justify-between text-sm">
+            <span>{problem.gave_up ? 'Gave up' : 'Done'} - {problem.difficulty}</span>
+            <span className="flex gap-3">
+              <span className="font-mono text-gray-400">{formatDuration(timeSpent[i])}</span>
+              {problem.hint_penalty > 0 && (
+                <span className="flex items-center gap-1 text-amber-600">
+                  <Lightbulb size={14} />-{problem.hint_penalty}
+                </span>
+              )}
+              <span className={problem.gave_up ? 'text-gray-400' : ''}>{problem.final_score ?? 0}/10</span>
+            </span>
           </div>
         ))}
       </div>
-      <button onClick={onRestart} className="px-6 py-3 bg-blue-500 text-white rounded-lg flex items-center gap-2 mx-auto hover:bg-blue-600">
-        <RefreshCw size={20} /> New Quiz
-      </button>
+      {problems.some((_, i) => chats[i]?.length > 0) && (
+        <div className="text-left mb-6 space-y-2">
+          <h2 className="font-semibold text-gray-700">Interviewer conversations</h2>
+          {problems.map((problem, i) => chats[i]?.length > 0 && (
+            <details key={i} className="bg-gray-50 rounded p-3">
+              <summary className="cursor-pointer text-sm font-medium">
+                {i + 1}. {problem.difficulty} ({chats[i].length} messages)
+              </summary>
+              <div className="mt-3">
+                <ChatTranscript messages={chats[i]} />
+              </div>
+            </details>
+          ))}
+        </div>
+      )}
+      <div className="mb-6">
+        <ReplayPlayer replay={replay} />
+      </div>
+      <div className="mb-6 flex justify-center">
+        <ReportExport quiz={quiz} />
+      </div>
+      <div className="flex justify-center gap-3">
+        <button onClick={onRestart} className="px-6 py-3 bg-blue-500 text-white rounded-lg flex items-center gap-2 hover:bg-blue-600">
+          <RefreshCw size={20} /> New Quiz
+        </button>
+        <button onClick={onShowHistory} className="px-6 py-3 bg-white border rounded-lg flex items-center gap-2 hover:bg-gray-50">
+          <BarChart3 size={20} /> History
+        </button>
+      </div>
     </div>
   );
 };
@@ -316,158 +277,944 @@ const GiveUpModal = ({ onConfirm, onCancel }) => (
   </div>
 );
 
+// Start Screen
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Expert'];
+// Problems per difficulty and topics of a new quiz; the default is one of each difficulty, any topic
+const DEFAULT_QUIZ_CONFIG = { mix: { Easy: 1, Medium: 1, Hard: 1, Expert: 1 }, topics: [] };
+// Used until /pool/status says otherwise (the backend's MAX_QUIZ_PROBLEMS)
+const DEFAULT_MAX_QUIZ_PROBLEMS = 8;
+
+// One difficulty per problem, easiest first
+const difficultiesOf = (mix) => DIFFICULTIES.flatMap(diff => Array(mix[diff] || 0).fill(diff));
+
+// /quiz/start query parameters for a quiz config
+const quizParamsOf = (config) => ({ difficulties: difficultiesOf(config.mix).join(','), topics: config.topics.join(',') });
+
+// Whether a started quiz (a /quiz/start response) has the settings of `config`
+const quizMatchesConfig = (quiz, config) => (
+  quiz.problems.map(p => p.difficulty).join(',') === difficultiesOf(config.mix).join(',')
+  && [...(quiz.topics || [])].sort().join(',') === [...config.topics].sort().join(',')
+);
+
+// Difficulty mix and topic picker for a new quiz
+const QuizConfig = ({ config, setConfig, topics, maxProblems }) => {
+  const total = difficultiesOf(config.mix).length;
+  const changeCount = (diff, delta) => setConfig(prev => ({ ...prev, mix: { ...prev.mix, [diff]: prev.mix[diff] + delta } }));
+  const toggleTopic = (topic) => setConfig(prev => ({
+    ...prev,
+    topics: prev.topics.includes(topic) ? prev.topics.filter(t => t !== topic) : [...prev.topics, topic],
+  }));
+
+  return (
+    <div className="mb-6">
+      <p className="text-sm font-semibold text-gray-700 mb-2">Problems</p>
+      <div className="grid grid-cols-4 gap-2">
+        {DIFFICULTIES.map(diff => (
+          <div key={diff} className="border rounded text-center py-1">
+            <div className="text-xs text-gray-500">{diff}</div>
+            <div className="flex items-center justify-center gap-2">
+              <button onClick={() => changeCount(diff, -1)} disabled={!config.mix[diff]} className="text-gray-600 disabled:text-gray-300">
+                <Minus size={14} />
+              </button>
+              <span className="font-semibold w-3">{config.mix[diff]}</span>
+              <button onClick={() => changeCount(diff, 1)} disabled={total >= maxProblems} className="text-gray-600 disabled:text-gray-300">
+                <Plus size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <p className="text-sm font-semibold text-gray-700 mt-4 mb-2">Topics</p>
+      <div className="flex flex-wrap gap-1">
+        {topics.map(topic => (
+          <button
+            key={topic}
+            onClick={() => toggleTopic(topic)}
+            className={`text-xs px-2 py-1 rounded-full ${
+              config.topics.includes(topic) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+            }`}
+          >
+            {topic}
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        {config.topics.length ? 'Only problems on the selected topics' : 'Any topic'}
+      </p>
+    </div>
+  );
+};
+
+// Online/offline pill, with the number of submissions waiting to be graded
+const ConnectionBadge = ({ online, queued }) => (
+  <div className={`fixed bottom-4 left-4 z-40 px-3 py-1 rounded-full shadow text-xs font-medium flex items-center gap-1 ${
+    online ? 'bg-green-100 text-green-800' : 'bg-gray-800 text-white'
+  }`}>
+    {online ? <Wifi size={12} /> : <WifiOff size={12} />}
+    {online ? 'Online' : 'Offline'}
+    {queued > 0 && ` · ${queued} queued for grading`}
+  </div>
+);
+
+// inProgress is 'quiz' or 'results' when there is already a quiz in memory to go back to.
+// offlineQuiz is the quiz saved for offline use, if any (see offlineStore.js); onSaveOffline
+// saves one with the chosen settings in its place.
+const StartScreen = ({
+  user, poolStatus, online, offlineQuiz, savingOffline, loading, config, setConfig, timeLimit, setTimeLimit, inProgress,
+  onStart, onStartOffline, onSaveOffline, onContinue, onPractice, onShowHistory, onShowReplay, onShowAdmin, onLogout
+}) => {
+  const difficulties = difficultiesOf(config.mix);
+  const offlineQuizMatches = offlineQuiz && quizMatchesConfig(offlineQuiz, config);
+  return (
+    <div className="min-h-screen dark-dynamic-bg flex items-center justify-center p-8">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8">
+        <h1 className="text-3xl font-bold mb-6 text-center">SmartTalk</h1>
+        <div className="space-y-4 mb-8 text-gray-600">
+          <p>• {difficulties.length} Coding Problem{difficulties.length === 1 ? '' : 's'}</p>
+          <p>• Scored out of {difficulties.length * 10} points total</p>
+          <p>• AI-powered feedback & grading</p>
+        </div>
+        {!inProgress && (
+          <QuizConfig
+            config={config}
+            setConfig={setConfig}
+            topics={poolStatus?.topics || []}
+            maxProblems={poolStatus?.max_quiz_problems || DEFAULT_MAX_QUIZ_PROBLEMS}
+          />
+        )}
+        {!inProgress && (
+          <div className="mb-6">
+            <p className="text-sm font-semibold text-gray-700 mb-2">Mode</p>
+            <div className="flex gap-2">
+              {[null, ...TIME_LIMIT_OPTIONS].map((minutes) => {
+                const selected = (timeLimit?.totalMinutes ?? null) === minutes;
+                return (
+                  <button
+                    key={minutes ?? 'untimed'}
+                    onClick={() => setTimeLimit(minutes ? { totalMinutes: minutes, perProblem: timeLimit?.perProblem ?? false } : null)}
+                    className={`flex-1 py-2 rounded text-sm font-medium ${
+                      selected ? 'bg-blue-600 text-white' : 'bg-white border text-gray-700'
+                    }`}
+                  >
+                    {minutes ? `${minutes} min` : 'Untimed'}
+                  </button>
+                );
+              })}
+            </div>
+            {timeLimit && (
+              <label className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={timeLimit.perProblem}
+                  onChange={(e) => setTimeLimit(prev => ({ ...prev, perProblem: e.target.checked }))}
+                />
+                Per-problem budgets ({DIFFICULTIES.filter(diff => config.mix[diff])
+                  .map(diff => `${diff} ${Math.round(getProblemBudget({ ...timeLimit, perProblem: true }, diff, difficulties) / 60)}m`)
+                  .join(', ')})
+              </label>
+            )}
+          </div>
+        )}
+        {inProgress ? (
+          <button
+            onClick={onContinue}
+            className="w-full py-4 rounded-lg font-bold text-lg flex items-center justify-center gap-2 transition-colors bg-blue-600 text-white hover:bg-blue-700"
+          >
+            {inProgress === 'results' ? 'View Results' : 'Continue Quiz'}
+          </button>
+        ) : !online ? (
+          <button
+            onClick={onStartOffline}
+            disabled={!offlineQuiz}
+            className="w-full py-4 rounded-lg font-bold text-lg flex items-center justify-center gap-2 transition-colors bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300 disabled:text-gray-500"
+          >
+            <WifiOff size={20} /> Start Offline Quiz
+          </button>
+        ) : (
+          <button
+            onClick={onStart}
+            disabled={!poolStatus?.ready || loading || !difficulties.length}
+            className={`w-full py-4 rounded-lg font-bold text-lg flex items-center justify-center gap-2 transition-colors ${
+              poolStatus?.ready && !loading && difficulties.length ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-gray-300 text-gray-500'
+            }`}
+          >
+            {loading ? <RefreshCw className="animate-spin" /> : 'Start Quiz'}
+          </button>
+        )}
+        {online && !inProgress && (
+          <button
+            onClick={onSaveOffline}
+            disabled={!poolStatus?.ready || loading || savingOffline || offlineQuizMatches || !difficulties.length}
+            title="Takes the problems from the bank now, so the quiz can be started without a connection"
+            className="w-full mt-3 py-3 rounded-lg font-medium flex items-center justify-center gap-2 border text-gray-700 hover:bg-gray-50 transition-colors disabled:text-gray-400 disabled:hover:bg-white"
+          >
+            {savingOffline ? <RefreshCw className="animate-spin" size={18} /> : <Download size={18} />}
+            {offlineQuizMatches
+              ? 'Saved for offline use'
+              : offlineQuiz ? 'Replace the offline quiz with these settings' : 'Save a quiz for offline use'}
+          </button>
+        )}
+        <button
+          onClick={onPractice}
+          className="w-full mt-3 py-3 rounded-lg font-medium flex items-center justify-center gap-2 border text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          <Dumbbell size={18} /> Practice Mode
+        </button>
+        <button
+          onClick={onShowHistory}
+          className="w-full mt-3 py-3 rounded-lg font-medium flex items-center justify-center gap-2 border text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          <BarChart3 size={18} /> History & Progress
+        </button>
+        <button
+          onClick={onShowReplay}
+          className="w-full mt-3 py-3 rounded-lg font-medium flex items-center justify-center gap-2 border text-gray-700 hover:bg-gray-50 transition-colors"
+        >
+          <Film size={18} /> Session Replay
+        </button>
+        {onShowAdmin && (
+          <button
+            onClick={onShowAdmin}
+            className="w-full mt-3 py-3 rounded-lg font-medium flex items-center justify-center gap-2 border text-gray-700 hover:bg-gray-50 transition-colors"
+          >
+            <Database size={18} /> Problem Bank
+          </button>
+        )}
+        {!online && !inProgress && (
+          <div className="mt-4 text-center text-sm text-gray-500 space-y-1">
+            <p>You're offline.</p>
+            {offlineQuiz ? (
+              <p>
+                A quiz is saved for offline use ({offlineQuiz.problems.map(p => p.difficulty).join(' · ')}).
+                Hints, the interviewer and Python test runs need a connection; answers are graded once you're back online.
+              </p>
+            ) : (
+              <p>No quiz is saved for offline use; save one next time you're online.</p>
+            )}
+          </div>
+        )}
+        {online && !poolStatus?.ready && !inProgress && (
+          <div className="mt-4 text-center">
+            <p className="text-sm text-gray-500">Waiting for problems to generate...</p>
+            <p className="text-xs font-mono text-blue-500 mt-1">
+              Ready: {DIFFICULTIES.map(diff => `${diff} ${poolStatus?.status?.[diff] || 0}`).join(' · ')}
+            </p>
+          </div>
+        )}
+        {poolStatus?.topic_requests?.length > 0 && !inProgress && (
+          <p className="mt-4 text-center text-xs text-gray-500">
+            Generating: {poolStatus.topic_requests.map(r => `${r.needed} ${r.difficulty} ${r.topic}`).join(', ')}
+          </p>
+        )}
+        <div className="mt-6 pt-4 border-t flex justify-between items-center text-sm text-gray-500">
+          <span>Signed in as <span className="font-medium text-gray-700">{user.username}</span></span>
+          <button onClick={onLogout} className="flex items-center gap-1 hover:text-gray-800">
+            <LogOut size={14} /> Log out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Resume Saved Quiz Screen
+const ResumeQuiz = ({ session, onResume, onDiscard }) => {
+  const total = session.problems.length;
+  const completed = Object.values(session.submitted || {}).filter(Boolean).length;
+  const savedAt = session.savedAt ? new Date(session.savedAt).toLocaleString() : null;
+
+  return (
+    <div className="min-h-screen dark-dynamic-bg flex items-center justify-center p-8">
+      <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8">
+        <h1 className="text-3xl font-bold mb-6 text-center">SmartTalk</h1>
+        <div className="space-y-2 mb-8 text-gray-600">
+          <p>You have an unfinished quiz.</p>
+          <p className="text-sm">
+            {completed}/{total} problems submitted{savedAt && <> · last saved {savedAt}</>}
+          </p>
+        </div>
+        <div className="flex flex-col gap-3">
+          <button
+            onClick={onResume}
+            className="w-full py-4 rounded-lg font-bold text-lg flex items-center justify-center gap-2 bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+          >
+            <RotateCcw size={20} /> Resume Quiz
+          </button>
+          <button
+            onClick={onDiscard}
+            className="w-full py-3 rounded-lg font-bold flex items-center justify-center gap-2 bg-white border-2 border-red-300 text-red-500 hover:bg-red-50 hover:border-red-400 transition-colors"
+          >
+            <Trash2 size={18} /> Discard and Start New
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 function App() {
+  // { token, user } while logged in (see auth.js)
+  const [auth, setAuth] = useState(loadAuth);
   const [quizStarted, setQuizStarted] = useState(false);
+  const [quizId, setQuizId] = useState(null);
+  const [startedAt, setStartedAt] = useState(null);
+  const navigate = useNavigate();
+  const quizMatch = useMatch('/quiz/:problemIndex');
   const [problems, setProblems] = useState([]);
-  const [currentIndex, setCurrentIndex] = useState(0);
+  // Topics the current quiz was restricted to (empty: any topic)
+  const [topics, setTopics] = useState([]);
+  const [quizConfig, setQuizConfig] = useState(DEFAULT_QUIZ_CONFIG);
+  // The open problem comes from /quiz/:problemIndex (1-based); lastIndex remembers it
+  // while on other routes so the quiz can be continued where it was left
+  const [lastIndex, setLastIndex] = useState(0);
+  // answers[i][language] holds the editor buffer for each language tried on problem i
   const [answers, setAnswers] = useState({});
+  const [languages, setLanguages] = useState({});
   const [submitted, setSubmitted] = useState({});
   const [scores, setScores] = useState({});
   const [feedback, setFeedback] = useState({});
+  // Structured grading result per submitted problem (see RubricCard)
+  const [rubrics, setRubrics] = useState({});
+  // Hidden test results per submitted problem: { passed, total, results }
+  const [hiddenTests, setHiddenTests] = useState({});
+  // Rubric issue highlighted in the editor: { index, issue }
+  const [highlight, setHighlight] = useState(null);
   const [gaveUp, setGaveUp] = useState({});
   const [testCases, setTestCases] = useState({});
   const [testResults, setTestResults] = useState({});
   const [poolStatus, setPoolStatus] = useState(null);
+  // Whether the backend answered the last status poll (and the browser thinks it's online)
+  const [online, setOnline] = useState(() => navigator.onLine);
+  // Quiz started on the server in advance, for starting a quiz offline
+  const [bufferedQuiz, setBufferedQuiz] = useState(null);
+  // Problems submitted offline whose answers are queued for grading: { [index]: true }
+  const [pendingSync, setPendingSync] = useState({});
+  const [queuedCount, setQueuedCount] = useState(0);
   const [loading, setLoading] = useState(false);
-  const [submitting, setSubmitting] = useState(false);
-  const [givingUp, setGivingUp] = useState(false);
+  // hints[i] lists the hints taken on problem i: [{ level, hint, penalty }]
+  const [hints, setHints] = useState({});
+  const [hintPenalties, setHintPenalties] = useState(DEFAULT_HINT_PENALTIES);
+  const [loadingHint, setLoadingHint] = useState(false);
+  // chats[i] is the conversation with the interviewer on problem i: [{ role, content }]
+  const [chats, setChats] = useState({});
+  // recordings[i] is the keystroke log of problem i, for the replay (see recording.js)
+  const [recordings, setRecordings] = useState({});
+  // Feedback still arriving from the model, per problem: { text, score, gaveUp }
+  const [streaming, setStreaming] = useState({});
+  // The server's record of the finished quiz (/quiz/{id}/results), or why it couldn't be loaded
+  const [results, setResults] = useState(null);
+  const [resultsError, setResultsError] = useState(null);
   const [showGiveUpModal, setShowGiveUpModal] = useState(false);
+  const monaco = useMonaco();
+  // Timed mode: { totalMinutes, perProblem } or null when untimed
+  const [timeLimit, setTimeLimit] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [timeSpent, setTimeSpent] = useState({});
+  // Session found in localStorage on load, waiting for the user to resume or discard it
+  const [savedSession, setSavedSession] = useState(() => {
+    const session = loadQuizSession();
+    if (!session) return null;
+    const completed = Object.keys(session.submitted || {}).length;
+    if (completed >= session.problems.length && !Object.keys(session.pendingSync || {}).length) {
+      // Nothing left to resume; just drop it
+      clearQuizSession();
+      return null;
+    }
+    return session;
+  });
+  const autosaveTimer = useRef(null);
+  const editorRef = useRef(null);
+  const decorationsRef = useRef([]);
+  const sessionRef = useRef(null);
+  // Problem indices already auto-submitted because their time ran out
+  const expiredRef = useRef(new Set());
+  // AbortControllers for in-flight feedback streams, by problem index
+  const streamAbortRef = useRef({});
+
+  const routeIndex = quizMatch ? Number(quizMatch.params.problemIndex) - 1 : null;
+  const isValidIndex = (i) => Number.isInteger(i) && i >= 0 && i < problems.length;
+  const currentIndex = isValidIndex(routeIndex) ? routeIndex : lastIndex;
+
+  useEffect(() => {
+    if (isValidIndex(routeIndex)) setLastIndex(routeIndex);
+  }, [routeIndex]); // eslint-disable-line react-hooks/exhaustive-deps
 
-  const difficulties = ['Easy', 'Medium', 'Hard', 'Expert'];
+  const setCurrentIndex = (i) => navigate(`/quiz/${i + 1}`);
+
+  // An expired or revoked token (any 401) drops back to the login screen
+  useEffect(() => onLogout(() => setAuth(null)), []);
+
+  const handleLogout = async () => {
+    try {
+      await axios.post(`${API_URL}/auth/logout`);
+    } catch (error) {
+      console.error('ERROR', error);
+    }
+    // Problems in a saved quiz were served to this account, so it can't be resumed by another
+    clearQuizSession();
+    // The offline quiz and queued submissions stay, keyed by user, for when this account logs in again
+    clearAuth();
+    window.location.assign('/');
+  };
 
   const fetchPoolStatus = useCallback(async () => {
     try {
       const response = await axios.get(`${API_URL}/pool/status`);
-      setPoolStatus(response.data);
+      // Keep the generation log that only comes with the live status
+      setPoolStatus(prev => ({ ...prev, ...response.data }));
+      setOnline(true);
     } catch (error) {
+      if (isNetworkError(error)) setOnline(false);
       console.error('Backend unreachable. Ensure Python server is running on port 8000.');
     }
   }, []);
 
+  const username = auth?.user.username;
+
+  // Keep the pool status live over /pool/events, reconnecting whenever the stream drops.
+  // Whether it is connected is also what decides if the app counts as online.
   useEffect(() => {
-    fetchPoolStatus();
-    const interval = setInterval(fetchPoolStatus, 5000);
-    return () => clearInterval(interval);
-  }, [fetchPoolStatus]);
+    if (!username) return undefined;
+    const controller = new AbortController();
+    const follow = async () => {
+      while (!controller.signal.aborted) {
+        try {
+          await followPoolStatus((status) => {
+            setPoolStatus(status);
+            setOnline(true);
+          }, controller.signal);
+        } catch (error) {
+          if (controller.signal.aborted) return;
+          if (isNetworkError(error)) setOnline(false);
+          else console.error('ERROR', error);
+        }
+        await new Promise(resolve => setTimeout(resolve, POOL_RECONNECT_MS));
+      }
+    };
+    follow();
+    // The browser knows about lost connections before the stream does
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', fetchPoolStatus);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      controller.abort();
+      window.removeEventListener('online', fetchPoolStatus);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, [username, fetchPoolStatus]);
 
-  // Auto-start quiz when pool is ready
   useEffect(() => {
-    if (poolStatus?.ready && !quizStarted && !loading) {
-      startQuiz();
+    if (!username) return;
+    getBufferedQuiz(username)
+      .then(quiz => setBufferedQuiz(quiz || null))
+      .catch(error => console.error('ERROR', error));
+  }, [username]);
+
+  // Start a quiz with the chosen settings and keep it for going offline, in place of any kept
+  // before. Starting one takes problems from the bank, so this only happens when the user asks.
+  const [savingOffline, setSavingOffline] = useState(false);
+  const saveOfflineQuiz = async () => {
+    setSavingOffline(true);
+    try {
+      const response = await axios.get(`${API_URL}/quiz/start`, { params: quizParamsOf(quizConfig) });
+      await saveBufferedQuiz(username, response.data);
+      setBufferedQuiz(await getBufferedQuiz(username));
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to save a quiz for offline use: ${error.response?.data?.detail || error.message}`);
+    } finally {
+      setSavingOffline(false);
     }
-  }, [poolStatus?.ready]); // eslint-disable-line react-hooks/exhaustive-deps
+  };
 
+  // Always points at the latest session so the debounced autosave never writes stale state
+  sessionRef.current = {
+    quizId, startedAt, problems, topics, currentIndex, answers, languages, submitted, pendingSync, scores, feedback, rubrics,
+    hiddenTests, gaveUp, testCases, testResults,
+    hints, hintPenalties, chats, recordings, timeLimit, elapsed, timeSpent,
+  };
+
+  const persistSession = useCallback(() => {
+    clearTimeout(autosaveTimer.current);
+    autosaveTimer.current = null;
+    saveQuizSession(sessionRef.current);
+  }, []);
+
+  // Save immediately on anything other than typing; editor contents go through the debounce below
+  useEffect(() => {
+    if (quizStarted) persistSession();
+  }, [quizStarted, problems, currentIndex, languages, submitted, pendingSync, scores, feedback, gaveUp, testCases, testResults,
+    persistSession]);
+
+  // The clock only needs saving every few seconds
+  useEffect(() => {
+    if (quizStarted && elapsed % TIMER_SAVE_INTERVAL === 0) persistSession();
+  }, [quizStarted, elapsed, persistSession]);
+
+  // Flush a pending autosave if the page goes away mid-debounce
+  useEffect(() => {
+    const flush = () => {
+      if (autosaveTimer.current) persistSession();
+    };
+    window.addEventListener('beforeunload', flush);
+    return () => {
+      window.removeEventListener('beforeunload', flush);
+      clearTimeout(autosaveTimer.current);
+    };
+  }, [persistSession]);
+
+  const resumeQuiz = async () => {
+    const session = savedSession;
+    // Before anything else, so the first save after resuming can't write over them
+    const savedRecordings = await loadQuizRecordings(session);
+    setQuizId(session.quizId);
+    setStartedAt(session.startedAt || session.savedAt);
+    setProblems(session.problems);
+    setTopics(session.topics || []);
+    setAnswers(session.answers || {});
+    setRecordings(savedRecordings);
+    setLanguages(session.languages || {});
+    setSubmitted(session.submitted || {});
+    setPendingSync(session.pendingSync || {});
+    setScores(session.scores || {});
+    setFeedback(session.feedback || {});
+    setRubrics(session.rubrics || {});
+    setHiddenTests(session.hiddenTests || {});
+    setGaveUp(session.gaveUp || {});
+    setTestCases(session.testCases || {});
+    setTestResults(session.testResults || {});
+    setHints(session.hints || {});
+    setHintPenalties(session.hintPenalties || DEFAULT_HINT_PENALTIES);
+    setChats(session.chats || {});
+    const index = session.currentIndex || 0;
+    setLastIndex(index);
+    // Keep a bookmarked /quiz/N; otherwise go back to where the quiz was left
+    const resumeIndex = routeIndex !== null && routeIndex >= 0 && routeIndex < session.problems.length ? routeIndex : index;
+    navigate(`/quiz/${resumeIndex + 1}`, { replace: true });
+    setTimeLimit(session.timeLimit || null);
+    setElapsed(session.elapsed || 0);
+    setTimeSpent(session.timeSpent || {});
+    expiredRef.current = new Set();
+    setSavedSession(null);
+    setQuizStarted(true);
+  };
+
+  const discardSavedQuiz = () => {
+    clearQuizSession();
+    setSavedSession(null);
+  };
+
+  // Set up a new quiz from a /quiz/start response
+  const beginQuiz = (quiz) => {
+    const probs = quiz.problems;
+    setQuizId(quiz.session_id);
+    setStartedAt(new Date().toISOString());
+    setProblems(probs);
+    setTopics(quiz.topics || []);
+    const initialAnswers = {};
+    const initialTestCases = {};
+    const initialRecordings = {};
+    probs.forEach((p, i) => {
+      initialAnswers[i] = { [DEFAULT_LANGUAGE]: getStarterCode(p, DEFAULT_LANGUAGE) };
+      initialRecordings[i] = [snapshotEvent(0, DEFAULT_LANGUAGE, initialAnswers[i][DEFAULT_LANGUAGE])];
+      // Seed each problem with locked sample tests taken from its examples
+      initialTestCases[i] = parseProblemExamples(p.problem, p.func_signature).cases;
+    });
+    setAnswers(initialAnswers);
+    setRecordings(initialRecordings);
+    setLanguages({});
+    setSubmitted({});
+    setPendingSync({});
+    setScores({});
+    setFeedback({});
+    setRubrics({});
+    setHiddenTests({});
+    setHighlight(null);
+    setResults(null);
+    setResultsError(null);
+    setGaveUp({});
+    setTestCases(initialTestCases);
+    setTestResults({});
+    setHints({});
+    setChats({});
+    setHintPenalties(quiz.hint_penalties || DEFAULT_HINT_PENALTIES);
+    setLastIndex(0);
+    navigate('/quiz/1');
+    setElapsed(0);
+    setTimeSpent({});
+    expiredRef.current = new Set();
+    setQuizStarted(true);
+  };
+
+  // Start a quiz with the chosen settings. The quiz kept for offline use is used when it has the
+  // same settings, since its problems were already taken from the bank.
   const startQuiz = async () => {
+    const reserved = bufferedQuiz && quizMatchesConfig(bufferedQuiz, quizConfig);
     setLoading(true);
     try {
-      const response = await axios.get(`${API_URL}/quiz/start`);
-      const probs = response.data.problems;
-      setProblems(probs);
-      const initialAnswers = {};
-      probs.forEach((p, i) => {
-        initialAnswers[i] = getStarterCode(p.func_signature, p.class_definitions);
-      });
-      setAnswers(initialAnswers);
-      setSubmitted({});
-      setScores({});
-      setFeedback({});
-      setGaveUp({});
-      setTestCases({});
-      setTestResults({});
-      setCurrentIndex(0);
-      setQuizStarted(true);
+      if (reserved) {
+        beginQuiz(bufferedQuiz);
+        setBufferedQuiz(null);
+        await deleteBufferedQuiz(username).catch(error => console.error('ERROR', error));
+      } else {
+        const response = await axios.get(`${API_URL}/quiz/start`, { params: quizParamsOf(quizConfig) });
+        beginQuiz(response.data);
+      }
     } catch (error) {
-      alert('Failed to start quiz. Are 4 problems generated yet?');
+      console.error('ERROR', error);
+      alert(`Failed to start quiz: ${error.response?.data?.detail || error.message}`);
+      fetchPoolStatus();
     } finally {
       setLoading(false);
     }
   };
 
-  const handleCodeChange = (value) => setAnswers(prev => ({ ...prev, [currentIndex]: value }));
+  const languageOf = (index) => languages[index] || DEFAULT_LANGUAGE;
+  const codeOf = (index) => answers[index]?.[languageOf(index)] ?? '';
+
+  // Add an event to problem `index`'s recording; makeEvent gets the time since the quiz started
+  const recordEvent = (index, makeEvent) => {
+    const event = makeEvent(Date.now() - Date.parse(startedAt));
+    setRecordings(prev => ({ ...prev, [index]: (prev[index] || []).concat([event]) }));
+  };
 
-  const handleSubmit = async () => {
-    setSubmitting(true);
+  const handleCodeChange = (value, event) => {
+    const language = languageOf(currentIndex);
+    const previous = codeOf(currentIndex);
+    recordEvent(currentIndex, t => editEvent(t, previous, value, event?.changes, language));
+    setAnswers(prev => ({ ...prev, [currentIndex]: { ...prev[currentIndex], [language]: value } }));
+    clearTimeout(autosaveTimer.current);
+    autosaveTimer.current = setTimeout(persistSession, AUTOSAVE_DELAY_MS);
+  };
+
+  // Switch the current problem's language, starting that language's buffer from a stub the first time
+  const handleLanguageChange = (language) => {
+    setLanguages(prev => ({ ...prev, [currentIndex]: language }));
+    const code = answers[currentIndex]?.[language] ?? getStarterCode(problems[currentIndex], language);
+    if (answers[currentIndex]?.[language] === undefined) {
+      setAnswers(prev => ({ ...prev, [currentIndex]: { ...prev[currentIndex], [language]: code } }));
+    }
+    recordEvent(currentIndex, t => snapshotEvent(t, language, code));
+  };
+
+  const refreshQueuedCount = useCallback(async () => {
+    if (!username) return;
     try {
-      const response = await axios.post(`${API_URL}/quiz/submit`, {
-        code: answers[currentIndex],
-        problem_index: currentIndex,
-        problem: problems[currentIndex].problem,
-        func_signature: problems[currentIndex].func_signature
+      const queued = await listQueuedSubmissions();
+      setQueuedCount(queued.filter(item => item.username === username).length);
+    } catch (error) {
+      console.error('ERROR', error);
+    }
+  }, [username]);
+
+  useEffect(() => {
+    refreshQueuedCount();
+  }, [refreshQueuedCount]);
+
+  // Offline: lock problem `index` now and keep the answer (a /quiz/submit body) to be graded later
+  const queueForGrading = async (index, giveUp, body) => {
+    await queueSubmission({ ...body, username, give_up: giveUp });
+    setSubmitted(prev => ({ ...prev, [index]: true }));
+    setPendingSync(prev => ({ ...prev, [index]: true }));
+    if (giveUp) setGaveUp(prev => ({ ...prev, [index]: true }));
+    setFeedback(prev => ({ ...prev, [index]: QUEUED_FEEDBACK }));
+    recordEvent(index, t => (giveUp ? giveUpEvent(t) : submitEvent(t, null)));
+    refreshQueuedCount();
+  };
+
+  // Stream the model's feedback (or solution) for problem `index` into the
+  // feedback panel, then record the final score once the stream is done.
+  // Without a connection the answer is queued for grading instead.
+  const streamProblemFeedback = async (index, giveUp) => {
+    const controller = new AbortController();
+    streamAbortRef.current[index] = controller;
+    setStreaming(prev => ({ ...prev, [index]: { text: '', score: null, gaveUp: giveUp } }));
+    const updateStream = (changes) =>
+      setStreaming(prev => (prev[index] ? { ...prev, [index]: { ...prev[index], ...changes(prev[index]) } } : prev));
+    let body = null;
+    try {
+      const language = languageOf(index);
+      const code = codeOf(index);
+      body = { session_id: quizId, problem_index: index, code, language };
+      if (!online) {
+        await queueForGrading(index, giveUp, body);
+        return;
+      }
+      const result = await streamFeedback(giveUp ? '/quiz/give-up/stream' : '/quiz/submit/stream', body, {
+        signal: controller.signal,
+        onChunk: (text) => updateStream(current => ({ text: current.text + text })),
+        onScore: (score) => updateStream(() => ({ score }))
+      });
+      setScores(prev => ({ ...prev, [index]: result.score }));
+      setFeedback(prev => ({ ...prev, [index]: result.feedback }));
+      if (result.rubric) setRubrics(prev => ({ ...prev, [index]: result.rubric }));
+      if (result.hidden_tests) setHiddenTests(prev => ({ ...prev, [index]: result.hidden_tests }));
+      setSubmitted(prev => ({ ...prev, [index]: true }));
+      if (giveUp) setGaveUp(prev => ({ ...prev, [index]: true }));
+      recordEvent(index, t => (giveUp ? giveUpEvent(t) : submitEvent(t, result.score)));
+    } catch (error) {
+      if (body && isNetworkError(error)) {
+        setOnline(false);
+        await queueForGrading(index, giveUp, body).catch(queueError => {
+          console.error('ERROR', queueError);
+          alert(`Failed to queue solution: ${queueError.message}`);
+        });
+      } else if (error.name === 'AbortError') {
+        // Cancelling only stops the stream: the server grades and records the answer anyway
+        setSubmitted(prev => ({ ...prev, [index]: true }));
+        if (giveUp) setGaveUp(prev => ({ ...prev, [index]: true }));
+        setFeedback(prev => ({ ...prev, [index]: CANCELLED_FEEDBACK }));
+        recordEvent(index, t => (giveUp ? giveUpEvent(t) : submitEvent(t, null)));
+      } else {
+        console.error('ERROR', error);
+        alert(`Failed to ${giveUp ? 'generate solution' : 'submit solution'}: ${error.message}`);
+      }
+    } finally {
+      delete streamAbortRef.current[index];
+      setStreaming(prev => {
+        const { [index]: _done, ...rest } = prev;
+        return rest;
       });
-      setScores(prev => ({ ...prev, [currentIndex]: response.data.score }));
-      setFeedback(prev => ({ ...prev, [currentIndex]: response.data.feedback }));
-      setSubmitted(prev => ({ ...prev, [currentIndex]: true }));
+    }
+  };
+
+  const handleSubmit = (index = currentIndex) => streamProblemFeedback(index, false);
+
+  // Send this user's queued answers for grading, oldest first, and fill in the
+  // results of any that belong to the quiz on screen. An answer is only dropped
+  // when the server rejects it for good; after a server error the rest wait for
+  // a retry, with a growing delay.
+  const syncingRef = useRef(false);
+  const syncRetryRef = useRef({ delay: SYNC_RETRY_MIN_MS, timer: null });
+  const syncQueuedSubmissions = async () => {
+    if (syncingRef.current || !username) return;
+    syncingRef.current = true;
+    clearTimeout(syncRetryRef.current.timer);
+    try {
+      const queued = (await listQueuedSubmissions()).filter(item => item.username === username);
+      for (const item of queued) {
+        const { id, username: _owner, give_up: giveUp, queuedAt: _queuedAt, ...body } = item;
+        let result = null;
+        try {
+          const response = await axios.post(`${API_URL}${giveUp ? '/quiz/give-up' : '/quiz/submit'}`, body);
+          result = response.data;
+          syncRetryRef.current.delay = SYNC_RETRY_MIN_MS;
+        } catch (error) {
+          if (isNetworkError(error)) break;
+          console.error('ERROR', error);
+          if (!isRejectedForGood(error)) {
+            const retry = syncRetryRef.current;
+            retry.timer = setTimeout(syncQueuedSubmissions, retry.delay);
+            retry.delay = Math.min(retry.delay * 2, SYNC_RETRY_MAX_MS);
+            break;
+          }
+          // The quiz is gone, the problem was already graded, ...: drop it
+        }
+        await deleteQueuedSubmission(id);
+        if (body.session_id === sessionRef.current.quizId) {
+          const index = body.problem_index;
+          if (result) {
+            setScores(prev => ({ ...prev, [index]: result.score }));
+            setFeedback(prev => ({ ...prev, [index]: result.feedback }));
+            if (result.rubric) setRubrics(prev => ({ ...prev, [index]: result.rubric }));
+            if (result.hidden_tests) setHiddenTests(prev => ({ ...prev, [index]: result.hidden_tests }));
+          } else {
+            setFeedback(prev => ({ ...prev, [index]: 'This answer could not be graded.' }));
+          }
+          setPendingSync(prev => {
+            const { [index]: _synced, ...rest } = prev;
+            return rest;
+          });
+        }
+      }
+    } catch (error) {
+      console.error('ERROR', error);
     } finally {
-      setSubmitting(false);
+      syncingRef.current = false;
+      refreshQueuedCount();
     }
   };
 
-  const handleGiveUp = async () => {
+  useEffect(() => {
+    if (online && queuedCount > 0) syncQueuedSubmissions();
+  }, [online, queuedCount, username]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const startOfflineQuiz = async () => {
+    beginQuiz(bufferedQuiz);
+    setBufferedQuiz(null);
+    await deleteBufferedQuiz(username).catch(error => console.error('ERROR', error));
+  };
+
+  const handleGiveUp = () => {
     setShowGiveUpModal(false);
-    setGivingUp(true);
+    streamProblemFeedback(currentIndex, true);
+  };
+
+  const handleCancelStream = () => {
+    streamAbortRef.current[currentIndex]?.abort();
+  };
+
+  const handleHint = async () => {
+    const index = currentIndex;
+    const taken = hints[index] || [];
+    setLoadingHint(true);
     try {
-      const response = await axios.post(`${API_URL}/quiz/give-up`, {
-        code: answers[currentIndex],
-        problem_index: currentIndex,
-        problem: problems[currentIndex].problem,
-        func_signature: problems[currentIndex].func_signature
+      const language = languageOf(index);
+      const response = await axios.post(`${API_URL}/quiz/hint`, {
+        session_id: quizId,
+        problem_index: index,
+        code: codeOf(index),
+        level: taken.length + 1,
+        language
       });
-      setScores(prev => ({ ...prev, [currentIndex]: 0 }));
-      setFeedback(prev => ({ ...prev, [currentIndex]: response.data.feedback }));
-      setSubmitted(prev => ({ ...prev, [currentIndex]: true }));
-      setGaveUp(prev => ({ ...prev, [currentIndex]: true }));
+      const { level, hint, penalty } = response.data;
+      setHints(prev => ({ ...prev, [index]: [...(prev[index] || []), { level, hint, penalty }] }));
     } catch (error) {
       console.error('ERROR', error);
-      console.error('Error details:', error.response?.data);
-      alert(`Failed to generate solution: ${error.response?.data?.detail || error.message}`);
+      alert(`Failed to get hint: ${error.response?.data?.detail || error.message}`);
     } finally {
-      setGivingUp(false);
+      setLoadingHint(false);
     }
   };
 
-  const allDone = Object.keys(submitted).length === 4;
+  const handleSendChat = async (text) => {
+    const index = currentIndex;
+    const language = languageOf(index);
+    const messages = [...(chats[index] || []), { role: 'user', content: text }];
+    setChats(prev => ({ ...prev, [index]: messages }));
+    try {
+      const response = await axios.post(`${API_URL}/quiz/chat`, {
+        session_id: quizId,
+        problem_index: index,
+        code: codeOf(index),
+        message: text,
+        language
+      });
+      setChats(prev => ({ ...prev, [index]: [...messages, { role: 'interviewer', content: response.data.reply }] }));
+    } catch (error) {
+      console.error('ERROR', error);
+      setChats(prev => ({ ...prev, [index]: messages.slice(0, -1) }));
+      alert(`Failed to reach the interviewer: ${error.response?.data?.detail || error.message}`);
+      throw error;
+    }
+  };
 
-  if (allDone) {
-    return (
-      <div className="p-8 dark-dynamic-bg min-h-screen">
-        <FinalResults scores={scores} gaveUp={gaveUp} onRestart={() => window.location.reload()} />
-      </div>
-    );
-  }
+  const handleRunTests = async () => {
+    const index = currentIndex;
+    const results = await runTests(problems[index], languageOf(index), codeOf(index), testCases[index], monaco);
+    setTestResults(prev => ({ ...prev, [index]: results }));
+    recordEvent(index, t => runEvent(t, results.passed, results.total));
+  };
 
-  if (!quizStarted) {
-    return (
-      <div className="min-h-screen dark-dynamic-bg flex items-center justify-center p-8">
-        <div className="max-w-md w-full bg-white rounded-lg shadow-lg p-8">
-          <h1 className="text-3xl font-bold mb-6 text-center">SmartTalk</h1>
-          <div className="space-y-4 mb-8 text-gray-600">
-            <p>• 4 Coding Problems (Easy to Expert)</p>
-            <p>• Scored out of 40 points total</p>
-            <p>• AI-powered feedback & grading</p>
-          </div>
-          <button
-            onClick={startQuiz}
-            disabled={!poolStatus?.ready || loading}
-            className={`w-full py-4 rounded-lg font-bold text-lg flex items-center justify-center gap-2 transition-colors ${
-              poolStatus?.ready && !loading ? 'bg-blue-600 text-white hover:bg-blue-700' : 'bg-gray-300 text-gray-500'
-            }`}
-          >
-            {loading ? <RefreshCw className="animate-spin" /> : 'Start Quiz'}
-          </button>
-          {!poolStatus?.ready && (
-            <div className="mt-4 text-center">
-              <p className="text-sm text-gray-500">Waiting for problems to generate...</p>
-              <p className="text-xs font-mono text-blue-500 mt-1">Ready: {poolStatus?.total || 0} / 4</p>
-            </div>
-          )}
-        </div>
-      </div>
-    );
-  }
+  const allDone = problems.length > 0 && Object.keys(submitted).length === problems.length;
+  const pendingCount = Object.keys(pendingSync).length;
+  const replay = useMemo(() => createReplay(quizId, problems, recordings), [quizId, problems, recordings]);
+
+  const exampleFailures = useMemo(
+    () => parseProblemExamples(problems[currentIndex]?.problem, problems[currentIndex]?.func_signature).failures,
+    [problems, currentIndex]
+  );
+
+  // Tick the total clock, and the current problem's clock while it is still open
+  useEffect(() => {
+    if (!quizStarted || allDone) return undefined;
+    const interval = setInterval(() => {
+      setElapsed(prev => prev + 1);
+      if (!submitted[currentIndex]) {
+        setTimeSpent(prev => ({ ...prev, [currentIndex]: (prev[currentIndex] || 0) + 1 }));
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [quizStarted, allDone, currentIndex, submitted]);
+
+  const totalRemaining = timeLimit ? timeLimit.totalMinutes * 60 - elapsed : null;
+  const problemBudget = getProblemBudget(timeLimit, problems[currentIndex]?.difficulty, problems.map(p => p.difficulty));
+  const problemRemaining = problemBudget !== null ? problemBudget - (timeSpent[currentIndex] || 0) : null;
+
+  // Out of time: submit whatever is in the editor through the normal submit path
+  useEffect(() => {
+    if (!quizStarted || !timeLimit) return;
+    const expired = totalRemaining <= 0
+      ? problems.map((_, i) => i)
+      : problemRemaining !== null && problemRemaining <= 0 ? [currentIndex] : [];
+    expired
+      .filter(i => !submitted[i] && !streamAbortRef.current[i] && !expiredRef.current.has(i))
+      .forEach(i => {
+        expiredRef.current.add(i);
+        handleSubmit(i);
+      });
+  }, [totalRemaining, problemRemaining]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    if (quizStarted && allDone) navigate('/results');
+  }, [quizStarted, allDone]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // The finished quiz as kept in history, which is also what the exported report is built from.
+  // Its scores are the browser's; withServerResults swaps in the ones the server recorded.
+  const quizRecord = (completedAt) => ({
+    id: quizId,
+    startedAt,
+    completedAt,
+    timeLimit,
+    topics,
+    problems: problems.map((p, i) => ({
+      difficulty: p.difficulty,
+      problem: p.problem,
+      func_signature: p.func_signature,
+      language: languageOf(i),
+      code: codeOf(i),
+      score: finalScoreOf(scores[i], hints[i]),
+      gaveUp: !!gaveUp[i],
+      hints: (hints[i] || []).map(h => h.hint),
+      hintPenalty: gaveUp[i] ? 0 : hintPenaltyOf(hints[i]),
+      chat: chats[i] || [],
+      feedback: feedback[i] || '',
+      rubric: rubrics[i] || null,
+      hiddenTests: hiddenTests[i] || null,
+      testCases: testCases[i] || [],
+      testResults: testResults[i] || null,
+      timeSpent: timeSpent[i] || 0,
+    })),
+  });
+
+  // Once every answer is graded, load the server's scores and record the finished quiz with them
+  // (re-recording under the same id just replaces it)
+  useEffect(() => {
+    if (!quizStarted || !allDone || pendingCount) return;
+    axios.get(`${API_URL}/quiz/${quizId}/results`)
+      .then((response) => {
+        setResults(response.data);
+        addQuizToHistory(withServerResults(quizRecord(new Date().toISOString()), response.data));
+      })
+      .catch((error) => {
+        console.error('ERROR', error);
+        setResultsError(error.response?.data?.detail || error.message);
+      });
+  }, [quizStarted, allDone, pendingCount]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const currentProblem = problems[currentIndex];
+  const currentLanguage = languageOf(currentIndex);
+  const currentStream = streaming[currentIndex];
+  const currentHints = hints[currentIndex] || [];
+  const currentRubric = !currentStream && !gaveUp[currentIndex] ? rubrics[currentIndex] : null;
+  const activeIssue = highlight?.index === currentIndex ? highlight.issue : null;
 
-  return (
+  const handleIssueClick = (issue) => {
+    setHighlight(activeIssue === issue ? null : { index: currentIndex, issue });
+  };
+
+  // Show the highlighted rubric issue's lines in the editor (and clear it when moving away)
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || !monaco) return;
+    decorationsRef.current = editor.deltaDecorations(decorationsRef.current, activeIssue ? [{
+      range: new monaco.Range(activeIssue.line, 1, activeIssue.end_line || activeIssue.line, 1),
+      options: { isWholeLine: true, className: 'rubric-issue-line', linesDecorationsClassName: 'rubric-issue-gutter' }
+    }] : []);
+    if (activeIssue) editor.revealLinesInCenter(activeIssue.line, activeIssue.end_line || activeIssue.line);
+  }, [activeIssue, currentLanguage, monaco]);
+
+  const quizView = quizStarted && currentProblem && (
     <div className="min-h-screen dark-dynamic-bg">
       {showGiveUpModal && (
         <GiveUpModal
@@ -480,13 +1227,28 @@ function App() {
         <div className="max-w-7xl mx-auto flex flex-col gap-4">
           <div className="flex justify-between items-center">
             <h1 className="text-xl font-bold">Quiz Mode</h1>
-            <span className="text-sm font-medium bg-blue-100 text-blue-800 px-3 py-1 rounded-full">
-              {difficulties[currentIndex]}
-            </span>
+            <div className="flex items-center gap-2">
+              {problemRemaining !== null && !submitted[currentIndex] && (
+                <Countdown label="Problem" remaining={problemRemaining} limit={problemBudget} />
+              )}
+              {totalRemaining !== null && (
+                <Countdown label="Total" remaining={totalRemaining} limit={timeLimit.totalMinutes * 60} />
+              )}
+              <span className="text-sm font-medium bg-blue-100 text-blue-800 px-3 py-1 rounded-full">
+                {currentProblem?.difficulty}
+              </span>
+            </div>
           </div>
+          {totalRemaining !== null && getTimeLevel(totalRemaining, timeLimit.totalMinutes * 60) !== 'ok' && (
+            <div className="text-sm text-red-700 bg-red-50 rounded px-3 py-2">
+              {totalRemaining > 0
+                ? `${formatDuration(totalRemaining)} left — unsubmitted problems will be submitted automatically when time runs out.`
+                : "Time's up — submitting your remaining solutions..."}
+            </div>
+          )}
           <div className="flex gap-2">
-            {difficulties.map((diff, i) => (
-              <button key={diff} onClick={() => setCurrentIndex(i)} className={`flex-1 py-2 rounded text-sm font-medium ${
+            {problems.map((_, i) => (
+              <button key={i} onClick={() => setCurrentIndex(i)} className={`flex-1 py-2 rounded text-sm font-medium ${
                 currentIndex === i
                   ? 'bg-blue-600 text-white'
                   : submitted[i]
@@ -511,69 +1273,129 @@ function App() {
 
           {/* Code editor */}
           <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="flex justify-end items-center gap-2 px-4 py-2 bg-gray-50 border-b">
+              <label htmlFor="language-select" className="text-sm text-gray-600">Language</label>
+              <select
+                id="language-select"
+                value={currentLanguage}
+                onChange={(e) => handleLanguageChange(e.target.value)}
+                disabled={submitted[currentIndex]}
+                className="text-sm border rounded px-2 py-1 bg-white disabled:bg-gray-100"
+              >
+                {LANGUAGES.map(lang => (
+                  <option key={lang.id} value={lang.id}>{lang.label}</option>
+                ))}
+              </select>
+            </div>
             <Editor
               height="400px"
-              language="python"
+              language={currentLanguage}
+              path={`problem-${currentIndex}.${LANGUAGES.find(l => l.id === currentLanguage).extension}`}
               theme="monokai-dark"
               beforeMount={handleEditorWillMount}
-              value={answers[currentIndex]}
+              onMount={(editor) => { editorRef.current = editor; }}
+              value={codeOf(currentIndex)}
               onChange={handleCodeChange}
-              options={{
-                minimap: { enabled: false },
-                fontSize: 14,
-                smoothScrolling: true,
-                mouseWheelScrollSensitivity: 0.5,
-                cursorSmoothCaretAnimation: 'on',
-                cursorBlinking: 'smooth',
-                scrollBeyondLastLine: true,
-                padding: { top: 16, bottom: 16 },
-                lineHeight: 24,
-                fontFamily: "'Monaco', 'Menlo', 'Ubuntu Mono', 'Consolas', monospace",
-                readOnly: submitted[currentIndex] || false,
-              }}
+              options={{ ...EDITOR_OPTIONS, readOnly: submitted[currentIndex] || !!currentStream }}
             />
           </div>
 
-          {/* Feedback section */}
-          {feedback[currentIndex] && (
+          {/* Hints taken so far */}
+          {currentHints.length > 0 && (
+            <div className="border-l-4 border-amber-400 bg-amber-50 p-6 rounded shadow overflow-hidden space-y-4">
+              {currentHints.map(h => (
+                <div key={h.level}>
+                  <h3 className="font-bold mb-2 flex items-center gap-2">
+                    <Lightbulb size={16} className="text-amber-500" /> Hint {h.level}
+                    <span className="text-sm font-normal text-amber-700">(-{h.penalty})</span>
+                  </h3>
+                  <div className="prose prose-sm max-w-none break-words overflow-x-auto">
+                    <MarkdownRenderer content={h.hint} />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Feedback section (rendered as it streams in) */}
+          {(feedback[currentIndex] || currentStream) && (
             <div className={`border-l-4 p-6 rounded shadow overflow-hidden ${
-              gaveUp[currentIndex]
+              (currentStream ? currentStream.gaveUp : gaveUp[currentIndex])
                 ? 'bg-orange-50 border-orange-400'
                 : 'bg-blue-50 border-blue-500'
             }`}>
-              <h3 className="font-bold mb-2">
-                {gaveUp[currentIndex] ? 'Solution & Explanation' : 'AI Feedback'}
+              <h3 className="font-bold mb-2 flex items-center gap-2">
+                {pendingSync[currentIndex] && !currentStream
+                  ? 'Queued for Grading'
+                  : (currentStream ? currentStream.gaveUp : gaveUp[currentIndex]) ? 'Solution & Explanation' : 'AI Feedback'}
+                {currentStream && <RefreshCw className="animate-spin text-gray-500" size={16} />}
+                {currentStream?.score != null && (
+                  <span className="ml-auto px-3 py-1 bg-blue-600 text-white rounded-full text-sm">
+                    Score: {currentStream.score}/10
+                  </span>
+                )}
               </h3>
-              <div className="prose prose-sm max-w-none break-words overflow-x-auto">
-                <MarkdownRenderer content={feedback[currentIndex]} />
-              </div>
+              {currentRubric ? (
+                <div className="space-y-4">
+                  <RubricCard rubric={currentRubric} onIssueClick={handleIssueClick} activeIssue={activeIssue} />
+                  {hiddenTests[currentIndex] && <HiddenTestResults hiddenTests={hiddenTests[currentIndex]} />}
+                </div>
+              ) : (
+                <div className="prose prose-sm max-w-none break-words overflow-x-auto">
+                  {currentStream && !currentStream.text
+                    ? <p className="text-gray-500 italic">Waiting for the interviewer...</p>
+                    : <MarkdownRenderer content={currentStream ? currentStream.text : feedback[currentIndex]} />}
+                </div>
+              )}
             </div>
           )}
 
           {/* Action buttons */}
           <div className="flex gap-4">
-            {!submitted[currentIndex] && (
+            {!submitted[currentIndex] && currentStream && (
+              <button
+                onClick={handleCancelStream}
+                className="flex-1 py-4 bg-white border-2 border-gray-300 text-gray-600 rounded-lg font-bold flex items-center justify-center gap-2 hover:bg-gray-50 transition-colors"
+              >
+                <XCircle size={20} /> Cancel
+              </button>
+            )}
+            {!submitted[currentIndex] && !currentStream && (
               <>
                 <button
-                  onClick={handleSubmit}
-                  disabled={submitting || givingUp}
+                  onClick={() => handleSubmit()}
                   className="flex-1 py-4 bg-green-600 text-white rounded-lg font-bold flex items-center justify-center gap-2 hover:bg-green-700 disabled:bg-gray-400 transition-colors"
                 >
-                  {submitting ? <RefreshCw className="animate-spin" size={20} /> : <><Send size={20} /> Submit Solution</>}
+                  <Send size={20} /> Submit Solution
+                </button>
+                <button
+                  onClick={handleHint}
+                  disabled={loadingHint || currentHints.length >= MAX_HINTS || !online}
+                  title={!online ? 'Hints need a connection'
+                    : currentHints.length < MAX_HINTS ? `Costs ${hintPenalties[currentHints.length]} point(s)` : 'No hints left'}
+                  className="py-4 px-6 bg-white border-2 border-amber-300 text-amber-600 rounded-lg font-bold flex items-center justify-center gap-2 hover:bg-amber-50 hover:border-amber-400 disabled:bg-gray-100 disabled:border-gray-200 disabled:text-gray-400 transition-colors"
+                >
+                  {loadingHint
+                    ? <RefreshCw className="animate-spin" size={20} />
+                    : <>
+                        <Lightbulb size={20} /> Hint {Math.min(currentHints.length + 1, MAX_HINTS)}/{MAX_HINTS}
+                        {currentHints.length < MAX_HINTS && (
+                          <span className="text-sm font-normal">(-{hintPenalties[currentHints.length]})</span>
+                        )}
+                      </>}
                 </button>
                 <button
                   onClick={() => setShowGiveUpModal(true)}
-                  disabled={submitting || givingUp}
                   className="py-4 px-6 bg-white border-2 border-red-300 text-red-500 rounded-lg font-bold flex items-center justify-center gap-2 hover:bg-red-50 hover:border-red-400 disabled:bg-gray-100 disabled:border-gray-200 disabled:text-gray-400 transition-colors"
                 >
-                  {givingUp ? <RefreshCw className="animate-spin" size={20} /> : <><Flag size={20} /> Give Up</>}
+                  <Flag size={20} /> Give Up
                 </button>
               </>
             )}
-            {submitted[currentIndex] && currentIndex < 3 && (
+            {submitted[currentIndex] && currentIndex < problems.length - 1 && (
               <button
                 onClick={() => {
-                  const next = difficulties.findIndex((_, i) => i > currentIndex && !submitted[i]);
+                  const next = problems.findIndex((_, i) => i > currentIndex && !submitted[i]);
                   if (next !== -1) setCurrentIndex(next);
                   else setCurrentIndex(currentIndex + 1);
                 }}
@@ -586,22 +1408,114 @@ function App() {
         </div>
 
         <aside className="col-span-12 lg:col-span-4 space-y-6">
-          <QuizProgress submitted={submitted} scores={scores} gaveUp={gaveUp} />
+          <QuizProgress problems={problems} submitted={submitted} pendingSync={pendingSync} scores={scores} gaveUp={gaveUp} hints={hints} timeSpent={timeSpent} />
+          <InterviewerChat
+            key={`chat-${currentIndex}`}
+            messages={chats[currentIndex] || []}
+            onSend={handleSendChat}
+            disabled={submitted[currentIndex] || !online}
+          />
           <TestCases
+            key={currentIndex}
             testCases={testCases[currentIndex] || []}
             onAdd={(tc) => setTestCases(prev => ({ ...prev, [currentIndex]: [...(prev[currentIndex] || []), tc] }))}
-            onDelete={(idx) => setTestCases(prev => ({ ...prev, [currentIndex]: prev[currentIndex].filter((_, i) => i !== idx) }))}
-            onRun={async () => {
-              const res = await axios.post(`${API_URL}/quiz/run-tests`, { code: answers[currentIndex], func_signature: currentProblem.func_signature, test_cases: testCases[currentIndex] });
-              setTestResults(prev => ({ ...prev, [currentIndex]: res.data.results }));
+            onDelete={(idx) => {
+              setTestCases(prev => ({ ...prev, [currentIndex]: prev[currentIndex].filter((_, i) => i !== idx) }));
+              // Results are positional, so they no longer line up with the remaining cases
+              setTestResults(prev => ({ ...prev, [currentIndex]: null }));
             }}
-            canRun={!!answers[currentIndex] && !submitted[currentIndex]}
+            onRun={handleRunTests}
+            canRun={!!codeOf(currentIndex) && !submitted[currentIndex] && (online || currentLanguage !== 'python')}
             results={testResults[currentIndex]}
+            exampleFailures={exampleFailures}
           />
         </aside>
       </main>
     </div>
   );
+
+  const resumeScreen = savedSession && (
+    <ResumeQuiz session={savedSession} onResume={resumeQuiz} onDiscard={discardSavedQuiz} />
+  );
+
+  if (!auth) return <Login onLogin={setAuth} />;
+
+  return (
+    <>
+      <Routes>
+        <Route
+          path="/"
+          element={resumeScreen || (
+            <StartScreen
+              user={auth.user}
+              poolStatus={poolStatus}
+              online={online}
+              offlineQuiz={bufferedQuiz}
+              savingOffline={savingOffline}
+              loading={loading}
+              config={quizConfig}
+              setConfig={setQuizConfig}
+              timeLimit={timeLimit}
+              setTimeLimit={setTimeLimit}
+              inProgress={quizStarted && (allDone ? 'results' : 'quiz')}
+              onStart={startQuiz}
+              onStartOffline={startOfflineQuiz}
+              onSaveOffline={saveOfflineQuiz}
+              onContinue={() => navigate(allDone ? '/results' : `/quiz/${currentIndex + 1}`)}
+              onPractice={() => navigate('/practice')}
+              onShowHistory={() => navigate('/history')}
+              onShowReplay={() => navigate('/replay')}
+              onShowAdmin={isAdmin(auth) ? () => navigate('/admin') : null}
+              onLogout={handleLogout}
+            />
+          )}
+        />
+        <Route
+          path="/quiz/:problemIndex"
+          element={
+            !quizStarted
+              ? resumeScreen || <Navigate to="/" replace />
+              : allDone
+                ? <Navigate to="/results" replace />
+                : routeIndex === currentIndex
+                  ? quizView
+                  : <Navigate to={`/quiz/${currentIndex + 1}`} replace />
+          }
+        />
+        <Route
+          path="/results"
+          element={
+            quizStarted && allDone ? (
+              <div className="p-8 dark-dynamic-bg min-h-screen">
+                <FinalResults
+                  results={results}
+                  error={resultsError}
+                  pendingCount={pendingCount}
+                  chats={chats}
+                  replay={replay}
+                  quiz={results && withServerResults(quizRecord(new Date().toISOString()), results)}
+                  timeSpent={timeSpent}
+                  timeLimit={timeLimit}
+                  onRestart={() => {
+                    clearQuizSession();
+                    window.location.assign('/');
+                  }}
+                  onShowHistory={() => navigate('/history')}
+                />
+              </div>
+            ) : <Navigate to="/" replace />
+          }
+        />
+        <Route path="/practice" element={<Practice onBack={() => navigate('/')} />} />
+        <Route path="/replay" element={<Replay onBack={() => navigate('/')} />} />
+        <Route path="/history" element={<History onBack={() => navigate('/')} />} />
+        <Route path="/history/:quizId" element={<History onBack={() => navigate('/')} />} />
+        <Route path="/admin" element={isAdmin(auth) ? <Admin pool={poolStatus} onBack={() => navigate('/')} /> : <Navigate to="/" replace />} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+      <ConnectionBadge online={online} queued={queuedCount} />
+    </>
+  );
 }
 
 export default App;
\ No newline at end of file
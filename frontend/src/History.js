@@ -0,0 +1,282 @@
+import React, { useState, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, Download, Upload, ChevronDown, ChevronRight } from 'lucide-react';
+import MarkdownRenderer from './MarkdownRenderer';
+import { ChatTranscript } from './InterviewerChat';
+import RubricCard from './RubricCard';
+import ReportExport from './ReportExport';
+import { downloadText } from './report';
+import { HiddenTestResults } from './TestCases';
+import { formatDuration } from './timer';
+import { loadHistory, exportHistory, importHistory } from './quizHistory';
+
+const DIFFICULTY_COLORS = { Easy: '#22c55e', Medium: '#eab308', Hard: '#f97316', Expert: '#ef4444' };
+const DIFFICULTIES = Object.keys(DIFFICULTY_COLORS);
+
+const quizTotal = (quiz) => quiz.problems.reduce((sum, p) => sum + (p.score || 0), 0);
+// Quizzes can have any number of problems, so they are compared as a percentage
+const quizPercent = (quiz) => (quizTotal(quiz) / (quiz.problems.length * 10)) * 100;
+
+const formatDate = (iso) => new Date(iso).toLocaleString();
+
+// Average score (0-10) per difficulty for each quiz, oldest first
+const ScoreTrendChart = ({ quizzes }) => {
+  const width = 600;
+  const height = 220;
+  const pad = { top: 10, right: 10, bottom: 24, left: 28 };
+  const innerW = width - pad.left - pad.right;
+  const innerH = height - pad.top - pad.bottom;
+  const x = (i) => pad.left + (quizzes.length === 1 ? innerW / 2 : (i / (quizzes.length - 1)) * innerW);
+  const y = (score) => pad.top + innerH - (score / 10) * innerH;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+        {[0, 5, 10].map(score => (
+          <g key={score}>
+            <line x1={pad.left} x2={width - pad.right} y1={y(score)} y2={y(score)} stroke="#e5e7eb" />
+            <text x={pad.left - 6} y={y(score) + 4} fontSize="11" textAnchor="end" fill="#6b7280">{score}</text>
+          </g>
+        ))}
+        {DIFFICULTIES.map((diff) => {
+          const points = quizzes
+            .map((quiz, i) => {
+              const problems = quiz.problems.filter(p => p.difficulty === diff);
+              if (!problems.length) return null;
+              return [x(i), y(problems.reduce((sum, p) => sum + (p.score || 0), 0) / problems.length)];
+            })
+            .filter(Boolean);
+          return (
+            <g key={diff}>
+              <polyline points={points.map(p => p.join(',')).join(' ')} fill="none" stroke={DIFFICULTY_COLORS[diff]} strokeWidth="2" />
+              {points.map(([px, py], i) => <circle key={i} cx={px} cy={py} r="3" fill={DIFFICULTY_COLORS[diff]} />)}
+            </g>
+          );
+        })}
+        <text x={width / 2} y={height - 4} fontSize="11" textAnchor="middle" fill="#6b7280">Quizzes (oldest → newest)</text>
+      </svg>
+      <div className="flex justify-center gap-4 text-xs text-gray-600">
+        {DIFFICULTIES.map(diff => (
+          <span key={diff} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ background: DIFFICULTY_COLORS[diff] }} /> {diff}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Share of problems given up on, per difficulty
+const GiveUpChart = ({ quizzes }) => {
+  const rates = DIFFICULTIES.map((diff) => {
+    const attempts = quizzes.flatMap(q => q.problems).filter(p => p.difficulty === diff);
+    const gaveUp = attempts.filter(p => p.gaveUp).length;
+    return { diff, rate: attempts.length ? gaveUp / attempts.length : 0, gaveUp, attempts: attempts.length };
+  });
+  return (
+    <div className="space-y-2">
+      {rates.map(({ diff, rate, gaveUp, attempts }) => (
+        <div key={diff} className="text-sm">
+          <div className="flex justify-between mb-1">
+            <span>{diff}</span>
+            <span className="text-gray-500">{Math.round(rate * 100)}% ({gaveUp}/{attempts})</span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2">
+            <div className="h-2 rounded-full" style={{ width: `${rate * 100}%`, background: DIFFICULTY_COLORS[diff] }} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// One past quiz, problem by problem
+const QuizDetail = ({ quiz, onBack }) => {
+  const [expanded, setExpanded] = useState({});
+  return (
+    <div className="space-y-4">
+      <button onClick={onBack} className="flex items-center gap-1 text-sm text-blue-600 hover:underline">
+        <ArrowLeft size={16} /> All quizzes
+      </button>
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-2xl font-bold">{quizTotal(quiz)}/{quiz.problems.length * 10}</h2>
+        <p className="text-sm text-gray-500">
+          {formatDate(quiz.completedAt)}
+          {quiz.timeLimit && ` · ${quiz.timeLimit.totalMinutes} min timed`}
+          {quiz.topics?.length > 0 && ` · ${quiz.topics.join(', ')}`}
+        </p>
+        <div className="mt-4">
+          <ReportExport quiz={quiz} />
+        </div>
+      </div>
+      {quiz.problems.map((problem, i) => (
+        <div key={i} className="bg-white rounded-lg shadow">
+          <button
+            onClick={() => setExpanded(prev => ({ ...prev, [i]: !prev[i] }))}
+            className="w-full flex justify-between items-center p-4 text-left"
+          >
+            <span className="flex items-center gap-2 font-semibold">
+              {expanded[i] ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+              {problem.difficulty}
+              {problem.language && <span className="text-xs font-normal text-gray-500">({problem.language})</span>}
+            </span>
+            <span className="text-sm flex gap-3">
+              <span className="font-mono text-gray-400">{formatDuration(problem.timeSpent)}</span>
+              {problem.hintPenalty > 0 && (
+                <span className="text-amber-600">-{problem.hintPenalty} hints</span>
+              )}
+              <span className={problem.gaveUp ? 'text-gray-400' : ''}>
+                {problem.gaveUp ? 'Gave up' : `${problem.score || 0}/10`}
+              </span>
+            </span>
+          </button>
+          {expanded[i] && (
+            <div className="px-6 pb-6 space-y-4 prose prose-sm max-w-none break-words overflow-hidden">
+              <MarkdownRenderer content={problem.problem} />
+              <h4 className="font-semibold">Final code</h4>
+              <MarkdownRenderer content={`\`\`\`${problem.language || 'python'}\n${problem.code || ''}\n\`\`\``} />
+              {problem.hints?.length > 0 && (
+                <>
+                  <h4 className="font-semibold">Hints taken</h4>
+                  {problem.hints.map((hint, h) => (
+                    <MarkdownRenderer key={h} content={`**Hint ${h + 1}:** ${hint}`} />
+                  ))}
+                </>
+              )}
+              {problem.chat?.length > 0 && (
+                <>
+                  <h4 className="font-semibold">Interviewer chat</h4>
+                  <div className="not-prose">
+                    <ChatTranscript messages={problem.chat} />
+                  </div>
+                </>
+              )}
+              {problem.feedback && (
+                <>
+                  <h4 className="font-semibold">{problem.gaveUp ? 'Solution & Explanation' : 'AI Feedback'}</h4>
+                  {problem.rubric && !problem.gaveUp
+                    ? (
+                      <div className="not-prose space-y-4">
+                        <RubricCard rubric={problem.rubric} />
+                        {problem.hiddenTests && <HiddenTestResults hiddenTests={problem.hiddenTests} />}
+                      </div>
+                    )
+                    : <MarkdownRenderer content={problem.feedback} />}
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// History / Dashboard view
+const History = ({ onBack }) => {
+  const [quizzes, setQuizzes] = useState(loadHistory);
+  // /history/:quizId drills into one quiz
+  const { quizId } = useParams();
+  const navigate = useNavigate();
+  const fileInput = useRef(null);
+
+  const handleExport = () => {
+    downloadText(exportHistory(), 'application/json', `smarttalk-history-${new Date().toISOString().slice(0, 10)}.json`);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { quizzes: merged, imported } = importHistory(await file.text());
+      setQuizzes(merged);
+      alert(`Imported ${imported} quiz${imported === 1 ? '' : 'zes'}.`);
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to import history: ${error.message}`);
+    }
+  };
+
+  const selected = quizzes.find(q => q.id === quizId);
+  const allProblems = quizzes.flatMap(q => q.problems);
+  const average = quizzes.length ? quizzes.reduce((sum, q) => sum + quizPercent(q), 0) / quizzes.length : 0;
+  const giveUpRate = allProblems.length ? allProblems.filter(p => p.gaveUp).length / allProblems.length : 0;
+
+  return (
+    <div className="min-h-screen dark-dynamic-bg p-8">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div className="flex justify-between items-center">
+          <button onClick={onBack} className="flex items-center gap-2 px-4 py-2 bg-white rounded-lg shadow hover:bg-gray-50">
+            <ArrowLeft size={18} /> Back
+          </button>
+          <div className="flex gap-2">
+            <button onClick={handleExport} disabled={!quizzes.length} className="flex items-center gap-2 px-4 py-2 bg-white rounded-lg shadow hover:bg-gray-50 disabled:text-gray-400">
+              <Download size={18} /> Export
+            </button>
+            <button onClick={() => fileInput.current.click()} className="flex items-center gap-2 px-4 py-2 bg-white rounded-lg shadow hover:bg-gray-50">
+              <Upload size={18} /> Import
+            </button>
+            <input ref={fileInput} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+          </div>
+        </div>
+
+        {quizId && !selected && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+            That quiz isn't in this browser's history.
+          </div>
+        )}
+
+        {selected ? (
+          <QuizDetail quiz={selected} onBack={() => navigate('/history')} />
+        ) : quizzes.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+            No completed quizzes yet. Finish a quiz and it will show up here.
+          </div>
+        ) : (
+          <>
+            <div className="grid grid-cols-3 gap-4">
+              {[
+                ['Quizzes', quizzes.length],
+                ['Average score', `${Math.round(average)}%`],
+                ['Give-up rate', `${Math.round(giveUpRate * 100)}%`],
+              ].map(([label, value]) => (
+                <div key={label} className="bg-white rounded-lg shadow p-4 text-center">
+                  <div className="text-2xl font-bold">{value}</div>
+                  <div className="text-sm text-gray-500">{label}</div>
+                </div>
+              ))}
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <h3 className="font-semibold text-gray-700 mb-3">Score Trend</h3>
+              <ScoreTrendChart quizzes={quizzes} />
+            </div>
+            <div className="bg-white rounded-lg shadow p-4">
+              <h3 className="font-semibold text-gray-700 mb-3">Give-up Rate</h3>
+              <GiveUpChart quizzes={quizzes} />
+            </div>
+            <div className="bg-white rounded-lg shadow divide-y">
+              {[...quizzes].reverse().map(quiz => (
+                <button
+                  key={quiz.id}
+                  onClick={() => navigate(`/history/${quiz.id}`)}
+                  className="w-full flex justify-between items-center p-4 text-left hover:bg-gray-50"
+                >
+                  <span>
+                    <span className="font-medium">{formatDate(quiz.completedAt)}</span>
+                    <span className="block text-xs text-gray-500">
+                      {quiz.problems.map(p => `${p.difficulty} ${p.gaveUp ? '✗' : `${p.score || 0}`}`).join(' · ')}
+                    </span>
+                  </span>
+                  <span className="font-bold">{quizTotal(quiz)}/{quiz.problems.length * 10}</span>
+                </button>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default History;
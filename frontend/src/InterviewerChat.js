@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { MessageSquare, Send, RefreshCw } from 'lucide-react';
+import MarkdownRenderer from './MarkdownRenderer';
+
+// One chat message; interviewer replies are markdown, the user's own text is shown as typed
+const ChatBubble = ({ message }) => (
+  message.role === 'user' ? (
+    <div className="ml-6 p-2 bg-blue-500 text-white rounded-lg text-sm whitespace-pre-wrap break-words">
+      {message.content}
+    </div>
+  ) : (
+    <div className="mr-6 p-2 bg-gray-100 rounded-lg text-sm prose prose-sm max-w-none break-words overflow-x-auto">
+      <MarkdownRenderer content={message.content} />
+    </div>
+  )
+);
+
+// Read-only conversation, for results and history
+export const ChatTranscript = ({ messages }) => (
+  <div className="space-y-2">
+    {messages.map((message, i) => <ChatBubble key={i} message={message} />)}
+  </div>
+);
+
+// Interviewer Chat Component
+const InterviewerChat = ({ messages, onSend, disabled }) => {
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const bottomRef = useRef(null);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [messages.length, sending]);
+
+  const handleSend = async () => {
+    const text = draft.trim();
+    if (!text || sending) return;
+    setSending(true);
+    setDraft('');
+    try {
+      await onSend(text);
+    } catch (error) {
+      // Put the message back so it can be retried
+      setDraft(text);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <h3 className="font-semibold text-gray-700 mb-3 flex items-center gap-2">
+        <MessageSquare size={16} /> Interviewer
+      </h3>
+      <div className="max-h-80 overflow-y-auto space-y-2 mb-3">
+        {messages.length === 0 && (
+          <p className="text-xs text-gray-500">
+            Ask clarifying questions about the problem, like you would in a real interview.
+          </p>
+        )}
+        <ChatTranscript messages={messages} />
+        {sending && (
+          <div className="mr-6 p-2 bg-gray-100 rounded-lg text-sm text-gray-500 flex items-center gap-2">
+            <RefreshCw className="animate-spin" size={14} /> Thinking...
+          </div>
+        )}
+        <div ref={bottomRef} />
+      </div>
+      {!disabled && (
+        <div className="flex gap-2">
+          <textarea
+            rows={2}
+            placeholder="Can the input be empty?"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                handleSend();
+              }
+            }}
+            className="flex-1 p-2 border rounded text-sm resize-none"
+          />
+          <button
+            onClick={handleSend}
+            disabled={sending || !draft.trim()}
+            className="px-3 bg-blue-500 text-white rounded disabled:bg-gray-300"
+          >
+            <Send size={16} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InterviewerChat;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { RefreshCw, LogIn, UserPlus } from 'lucide-react';
+import { API_URL } from './api';
+import { saveAuth } from './auth';
+
+// The backend's MIN_PASSWORD_LENGTH (auth.py)
+const MIN_PASSWORD_LENGTH = 8;
+
+// Login / Register Screen
+const Login = ({ onLogin }) => {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${API_URL}/auth/${mode}`, { username, password });
+      saveAuth(response.data);
+      onLogin(response.data);
+    } catch (error) {
+      console.error('ERROR', error);
+      setError(error.response?.data?.detail || error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const registering = mode === 'register';
+
+  return (
+    <div className="min-h-screen dark-dynamic-bg flex items-center justify-center p-8">
+      <form onSubmit={handleSubmit} className="max-w-md w-full bg-white rounded-lg shadow-lg p-8 space-y-4">
+        <h1 className="text-3xl font-bold mb-2 text-center">SmartTalk</h1>
+        <p className="text-center text-gray-600">{registering ? 'Create an account' : 'Log in to start practicing'}</p>
+        <label className="block">
+          <span className="text-sm font-semibold text-gray-700">Username</span>
+          <input
+            autoFocus
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="block w-full mt-1 p-2 border rounded"
+          />
+        </label>
+        <label className="block">
+          <span className="text-sm font-semibold text-gray-700">Password</span>
+          <input
+            type="password"
+            autoComplete={registering ? 'new-password' : 'current-password'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="block w-full mt-1 p-2 border rounded"
+          />
+          {registering && <span className="text-xs text-gray-500">At least {MIN_PASSWORD_LENGTH} characters</span>}
+        </label>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={loading || !username.trim() || !password || (registering && password.length < MIN_PASSWORD_LENGTH)}
+          className="w-full py-3 rounded-lg font-bold flex items-center justify-center gap-2 transition-colors bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300 disabled:text-gray-500"
+        >
+          {loading
+            ? <RefreshCw className="animate-spin" size={18} />
+            : registering ? <><UserPlus size={18} /> Create Account</> : <><LogIn size={18} /> Log In</>}
+        </button>
+        <p className="text-sm text-center text-gray-600">
+          {registering ? 'Already have an account?' : 'New here?'}{' '}
+          <button
+            type="button"
+            onClick={() => { setMode(registering ? 'login' : 'register'); setError(null); }}
+            className="text-blue-600 hover:underline"
+          >
+            {registering ? 'Log in' : 'Create an account'}
+          </button>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,106 @@
+import React from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/dist/katex.min.css';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { okaidia } from 'react-syntax-highlighter/dist/esm/styles/prism';
+
+// Sanitize broken markdown from LLM responses before rendering
+export const sanitizeMarkdown = (text) => {
+  if (!text) return text;
+
+  // Fix inline code followed by stray triple backticks: `foo` ``` bar -> `foo` bar
+  text = text.replace(/(`[^`\n]+`)\s*```\s*/g, '$1 ');
+
+  // Remove stray ``` that appear mid-line (not at line start, not inside code blocks)
+  const lines = text.split('\n');
+  const cleaned = [];
+  let inCodeBlock = false;
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('```')) {
+      if (inCodeBlock) {
+        inCodeBlock = false;
+        cleaned.push(line);
+      } else if (trimmed === '```') {
+        // Check if there's a matching close
+        const remaining = lines.slice(cleaned.length + 1).join('\n');
+        if (remaining.includes('```')) {
+          inCodeBlock = true;
+          cleaned.push(line);
+        }
+        // else orphan, skip
+      } else {
+        inCodeBlock = true;
+        cleaned.push(line);
+      }
+    } else if (!inCodeBlock && line.includes('```')) {
+      // Remove stray triple backticks mid-line
+      cleaned.push(line.replace(/```\s*/g, ''));
+    } else {
+      cleaned.push(line);
+    }
+  }
+  return cleaned.join('\n');
+};
+
+// Markdown renderer component with code highlighting
+const MarkdownRenderer = ({ content }) => {
+  return (
+    <ReactMarkdown
+      remarkPlugins={[remarkGfm, remarkMath]}
+      rehypePlugins={[rehypeKatex]}
+      components={{
+        code({ node, inline, className, children, ...props }) {
+          const match = /language-(\w+)/.exec(className || '');
+          return !inline && match ? (
+            <SyntaxHighlighter
+              style={okaidia}
+              language={match[1]}
+              PreTag="div"
+              customStyle={{
+                borderRadius: '0.5rem',
+                padding: '1rem',
+                maxWidth: '100%',
+                overflowX: 'auto',
+                wordBreak: 'break-word',
+                whiteSpace: 'pre-wrap'
+              }}
+              {...props}
+            >
+              {String(children).replace(/\n$/, '')}
+            </SyntaxHighlighter>
+          ) : (
+            <code className="bg-pink-100 text-pink-700 px-1.5 py-0.5 rounded text-sm font-mono break-all" {...props}>
+              {children}
+            </code>
+          );
+        },
+        // Give paragraphs containing Example/Input/Output/Explanation better spacing
+        p({ children, ...props }) {
+          const text = typeof children === 'string' ? children : '';
+          const isExample = /^Example\s*\d+/.test(text) ||
+            (Array.isArray(children) && children.some(c =>
+              typeof c === 'object' && c?.props?.children &&
+              /^Example\s*\d+/.test(String(c.props.children))
+            ));
+
+          return (
+            <p
+              className={isExample ? 'mt-5 mb-1 font-semibold text-blue-700' : 'mb-2'}
+              {...props}
+            >
+              {children}
+            </p>
+          );
+        }
+      }}
+    >
+      {sanitizeMarkdown(content)}
+    </ReactMarkdown>
+  );
+};
+
+export default MarkdownRenderer;
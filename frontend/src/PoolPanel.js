@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { Play, Square, Plus, RotateCcw, Trash2, RefreshCw } from 'lucide-react';
+import { API_URL } from './api';
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Expert'];
+
+const LOG_STATUS_STYLES = {
+  added: 'bg-green-100 text-green-700',
+  skipped: 'bg-gray-200 text-gray-700',
+  failed: 'bg-red-100 text-red-700',
+};
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString();
+const formatSeconds = (seconds) => `${seconds.toFixed(1)}s`;
+
+const fillColor = (count, target) => (count >= target ? 'bg-green-500' : count > 0 ? 'bg-yellow-500' : 'bg-red-500');
+
+// One generation attempt from the backend's log (newest first)
+const LogEntry = ({ entry }) => (
+  <li className="text-xs border-b last:border-b-0 py-1.5">
+    <div className="flex items-center gap-2">
+      <span className="font-mono text-gray-500">{formatTime(entry.finished_at)}</span>
+      <span className="font-medium">
+        {entry.difficulty}{entry.topic && <span className="font-normal text-gray-500"> ({entry.topic})</span>}
+      </span>
+      <span className={`px-1.5 py-0.5 rounded font-bold ${LOG_STATUS_STYLES[entry.status] || LOG_STATUS_STYLES.failed}`}>
+        {entry.status}
+      </span>
+      <span className="ml-auto font-mono text-gray-500" title="Model time for the accepted attempt · total including retries and test checks">
+        {entry.generation_time != null && `${formatSeconds(entry.generation_time)} · `}{formatSeconds(entry.duration)}
+      </span>
+    </div>
+    {entry.status !== 'added' && entry.detail && <p className="text-gray-600 mt-0.5 break-words">{entry.detail}</p>}
+    {entry.errors.length > 0 && (
+      <details className="mt-0.5">
+        <summary className="cursor-pointer text-gray-500">
+          {entry.errors.length} failed attempt{entry.errors.length > 1 ? 's' : ''}
+        </summary>
+        <ul className="mt-1 space-y-0.5 font-mono text-red-700 break-words">
+          {entry.errors.map((error, i) => <li key={i}>{error}</li>)}
+        </ul>
+      </details>
+    )}
+  </li>
+);
+
+/**
+ * Live view and controls for the problem pool: unserved problems per difficulty
+ * against the target, the background generator, problems being generated right
+ * now and the recent generation log. `pool` is the status App follows over
+ * /pool/events, so everything here updates as it happens. onCleared runs after
+ * unserved problems were deleted.
+ */
+const PoolPanel = ({ pool, onCleared }) => {
+  // One action at a time; the result shows up in `pool` once the backend has made the change
+  const [busy, setBusy] = useState(false);
+
+  const run = async (action, failure) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to ${failure}: ${error.response?.data?.detail || error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleGenerator = () => run(
+    () => axios.post(`${API_URL}/generator/${pool.generator_running ? 'stop' : 'start'}`),
+    pool.generator_running ? 'stop the generator' : 'start the generator'
+  );
+
+  const fill = () => run(() => axios.post(`${API_URL}/pool/generate`), 'start generation');
+
+  const clear = () => {
+    if (!window.confirm('Delete every problem that has never been served? Served problems are kept.')) return;
+    run(async () => {
+      const response = await axios.post(`${API_URL}/pool/clear`);
+      onCleared?.();
+      alert(`Deleted ${response.data.deleted} unserved problem${response.data.deleted === 1 ? '' : 's'}.`);
+    }, 'clear the pool');
+  };
+
+  const regenerate = () => {
+    if (!window.confirm('Delete every problem that has never been served and generate a fresh set? Served problems are kept.')) return;
+    run(async () => {
+      await axios.post(`${API_URL}/pool/clear`);
+      onCleared?.();
+      await axios.post(`${API_URL}/pool/generate`);
+    }, 'regenerate the pool');
+  };
+
+  if (!pool) {
+    return (
+      <div className="bg-white rounded-lg shadow p-4 text-sm text-gray-500">Connecting to the problem pool...</div>
+    );
+  }
+
+  const target = pool.target_per_difficulty;
+  const log = pool.log || [];
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 space-y-4">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="font-semibold text-gray-700">Problem Pool</h3>
+        <div className="flex items-center gap-2 text-sm">
+          <span className={`flex items-center gap-1 ${pool.generator_running ? 'text-green-700' : 'text-gray-500'}`}>
+            <span className={`inline-block w-2 h-2 rounded-full ${pool.generator_running ? 'bg-green-500 animate-pulse' : 'bg-gray-400'}`} />
+            Generator {pool.generator_running ? 'running' : 'stopped'}
+          </span>
+          <button
+            onClick={toggleGenerator}
+            disabled={busy}
+            className="flex items-center gap-1 px-2 py-1 border rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            {pool.generator_running ? <><Square size={12} /> Stop</> : <><Play size={12} /> Start</>}
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {DIFFICULTIES.map(diff => {
+          const count = pool.status[diff] ?? 0;
+          return (
+            <div key={diff} className="text-sm">
+              <div className="flex justify-between mb-1">
+                <span>{diff}</span>
+                <span className="font-mono text-gray-500">{count}/{target}</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div
+                  className={`${fillColor(count, target)} h-2 rounded-full transition-all`}
+                  style={{ width: `${Math.min(100, target ? (count / target) * 100 : 0)}%` }}
+                />
+              </div>
+            </div>
+          );
+        })}
+        <p className="text-xs text-gray-500">{pool.bank_size} problems in the bank, {pool.total} unserved</p>
+      </div>
+
+      {(pool.generating.length > 0 || pool.topic_requests.length > 0) && (
+        <div className="text-xs space-y-1">
+          {pool.generating.map((task, i) => (
+            <div key={i} className="flex items-center gap-1 text-blue-700">
+              <RefreshCw className="animate-spin" size={12} />
+              Generating {task.difficulty}{task.topic && ` (${task.topic})`} since {formatTime(task.started_at)}
+            </div>
+          ))}
+          {pool.topic_requests.length > 0 && (
+            <div className="text-gray-600">
+              Queued for quizzes: {pool.topic_requests.map(r => `${r.difficulty} ${r.topic} ×${r.needed}`).join(', ')}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 text-sm">
+        <button
+          onClick={fill}
+          disabled={busy}
+          className="flex items-center gap-1 px-3 py-1.5 bg-green-600 text-white rounded font-medium hover:bg-green-700 disabled:opacity-50"
+        >
+          <Plus size={14} /> Fill pool
+        </button>
+        <button
+          onClick={regenerate}
+          disabled={busy}
+          className="flex items-center gap-1 px-3 py-1.5 border rounded font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RotateCcw size={14} /> Regenerate
+        </button>
+        <button
+          onClick={clear}
+          disabled={busy}
+          className="flex items-center gap-1 px-3 py-1.5 border border-red-300 text-red-600 rounded font-medium hover:bg-red-50 disabled:opacity-50"
+        >
+          <Trash2 size={14} /> Clear unused
+        </button>
+      </div>
+
+      <div>
+        <h4 className="font-semibold text-sm text-gray-700 mb-1">Recent generations</h4>
+        {log.length === 0 ? (
+          <p className="text-xs text-gray-500">Nothing generated since the server started.</p>
+        ) : (
+          <ul className="max-h-64 overflow-y-auto">
+            {log.map((entry, i) => <LogEntry key={`${entry.started_at}-${i}`} entry={entry} />)}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PoolPanel;
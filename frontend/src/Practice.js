@@ -0,0 +1,306 @@
+import React, { useState } from 'react';
+import Editor, { useMonaco } from '@monaco-editor/react';
+import axios from 'axios';
+import { ArrowLeft, Send, RefreshCw, ChevronRight, ChevronDown, Shuffle } from 'lucide-react';
+import MarkdownRenderer from './MarkdownRenderer';
+import RubricCard from './RubricCard';
+import TestCases, { HiddenTestResults } from './TestCases';
+import { formatProblemExamples, parseProblemExamples } from './problemExamples';
+import { LANGUAGES, DEFAULT_LANGUAGE, getStarterCode, getFunctionSignature } from './languages';
+import { API_URL, runTests } from './api';
+import { handleEditorWillMount, EDITOR_OPTIONS } from './editorConfig';
+
+const DIFFICULTIES = ['Easy', 'Medium', 'Hard', 'Expert'];
+
+const bestScore = (attempts) => (attempts.length ? Math.max(...attempts.map(a => a.score)) : null);
+
+// Score of an attempt, with the change from the one before it
+const AttemptScore = ({ attempts, index }) => {
+  const { score } = attempts[index];
+  const delta = index > 0 ? score - attempts[index - 1].score : 0;
+  return (
+    <span>
+      {score}/10
+      {delta !== 0 && (
+        <span className={`ml-1 text-xs ${delta > 0 ? 'text-green-600' : 'text-red-600'}`}>
+          ({delta > 0 ? '+' : ''}{delta})
+        </span>
+      )}
+    </span>
+  );
+};
+
+// Past attempts on the current problem, newest first
+const AttemptHistory = ({ attempts }) => {
+  const [expanded, setExpanded] = useState({});
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <h3 className="font-semibold text-gray-700 mb-3">Attempts</h3>
+      {attempts.length === 0 && <p className="text-sm text-gray-500">No submissions yet.</p>}
+      <div className="space-y-2">
+        {[...attempts.keys()].reverse().map(i => (
+          <div key={i} className="bg-gray-50 rounded text-sm">
+            <button
+              onClick={() => setExpanded(prev => ({ ...prev, [i]: !prev[i] }))}
+              className="w-full flex justify-between items-center p-2 text-left"
+            >
+              <span className="flex items-center gap-1">
+                {expanded[i] ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                Attempt {i + 1}
+                <span className="text-xs text-gray-500">({attempts[i].language})</span>
+              </span>
+              <AttemptScore attempts={attempts} index={i} />
+            </button>
+            {expanded[i] && (
+              <div className="px-3 pb-3 prose prose-sm max-w-none break-words overflow-x-auto">
+                <MarkdownRenderer content={`\`\`\`${attempts[i].language}\n${attempts[i].code}\n\`\`\``} />
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Practice mode: one problem at a time, unlimited resubmissions
+const Practice = ({ onBack }) => {
+  const [selectedDifficulties, setSelectedDifficulties] = useState(DIFFICULTIES);
+  // Problems pulled this session, each with its own editor buffers, tests and attempts
+  const [items, setItems] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const monaco = useMonaco();
+
+  const item = current !== null ? items[current] : null;
+  const language = item?.language || DEFAULT_LANGUAGE;
+  const code = item?.answers[language] ?? '';
+  const latest = item?.attempts[item.attempts.length - 1];
+
+  const updateItem = (index, update) => {
+    setItems(prev => prev.map((it, i) => (i === index ? { ...it, ...update(it) } : it)));
+  };
+
+  const toggleDifficulty = (diff) => {
+    setSelectedDifficulties(prev => (
+      prev.includes(diff) ? prev.filter(d => d !== diff) : DIFFICULTIES.filter(d => d === diff || prev.includes(d))
+    ));
+  };
+
+  const fetchProblem = async () => {
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_URL}/practice/problem`, {
+        params: { difficulty: selectedDifficulties.join(',') }
+      });
+      const problem = response.data.problem;
+      setItems(prev => [...prev, {
+        problem,
+        language: DEFAULT_LANGUAGE,
+        answers: { [DEFAULT_LANGUAGE]: getStarterCode(problem, DEFAULT_LANGUAGE) },
+        testCases: parseProblemExamples(problem.problem, problem.func_signature).cases,
+        testResults: null,
+        attempts: [],
+      }]);
+      setCurrent(items.length);
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to get a problem: ${error.response?.data?.detail || error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLanguageChange = (lang) => {
+    updateItem(current, it => ({
+      language: lang,
+      answers: it.answers[lang] === undefined
+        ? { ...it.answers, [lang]: getStarterCode(it.problem, lang) }
+        : it.answers,
+    }));
+  };
+
+  const handleSubmit = async () => {
+    const index = current;
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`${API_URL}/practice/submit`, {
+        code,
+        problem_index: index,
+        problem: item.problem.problem,
+        func_signature: getFunctionSignature(item.problem, language),
+        language,
+        problem_id: item.problem.problem_id
+      });
+      const attempt = {
+        score: response.data.score,
+        feedback: response.data.feedback,
+        rubric: response.data.rubric,
+        hiddenTests: response.data.hidden_tests,
+        code,
+        language,
+        submittedAt: new Date().toISOString(),
+      };
+      updateItem(index, it => ({ attempts: [...it.attempts, attempt] }));
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to submit solution: ${error.response?.data?.detail || error.message}`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRunTests = async () => {
+    const index = current;
+    const results = await runTests(item.problem, language, code, item.testCases, monaco);
+    updateItem(index, () => ({ testResults: results }));
+  };
+
+  return (
+    <div className="min-h-screen dark-dynamic-bg">
+      <header className="bg-white shadow px-4 py-4 sticky top-0 z-10">
+        <div className="max-w-7xl mx-auto flex flex-wrap gap-4 justify-between items-center">
+          <div className="flex items-center gap-3">
+            <button onClick={onBack} className="text-gray-600 hover:text-gray-900"><ArrowLeft size={20} /></button>
+            <h1 className="text-xl font-bold">Practice Mode</h1>
+            {item && (
+              <span className="text-sm font-medium bg-blue-100 text-blue-800 px-3 py-1 rounded-full">
+                {item.problem.difficulty}
+              </span>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            {DIFFICULTIES.map(diff => (
+              <button
+                key={diff}
+                onClick={() => toggleDifficulty(diff)}
+                className={`px-3 py-1 rounded text-sm font-medium ${
+                  selectedDifficulties.includes(diff) ? 'bg-blue-600 text-white' : 'bg-white border text-gray-700'
+                }`}
+              >
+                {diff}
+              </button>
+            ))}
+            <button
+              onClick={fetchProblem}
+              disabled={loading || selectedDifficulties.length === 0}
+              className="flex items-center gap-2 px-4 py-1.5 bg-green-600 text-white rounded font-medium hover:bg-green-700 disabled:bg-gray-400"
+            >
+              {loading ? <RefreshCw className="animate-spin" size={16} /> : <Shuffle size={16} />}
+              {selectedDifficulties.length > 1 ? 'Next (mix)' : 'Next Problem'}
+            </button>
+          </div>
+        </div>
+      </header>
+
+      {!item ? (
+        <div className="max-w-md mx-auto mt-16 bg-white rounded-lg shadow-lg p-8 text-center text-gray-600">
+          <p className="mb-2">Pick one or more difficulties and pull a problem.</p>
+          <p className="text-sm">Submit as often as you like — each attempt is scored and kept.</p>
+        </div>
+      ) : (
+        <main className="max-w-7xl mx-auto p-4 lg:p-6 grid grid-cols-12 gap-6">
+          <div className="col-span-12 lg:col-span-8 space-y-6">
+            <div className="bg-white rounded-lg shadow p-6 prose prose-sm max-w-none break-words overflow-hidden">
+              <MarkdownRenderer content={formatProblemExamples(item.problem.problem)} />
+            </div>
+
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+              <div className="flex justify-end items-center gap-2 px-4 py-2 bg-gray-50 border-b">
+                <label htmlFor="practice-language-select" className="text-sm text-gray-600">Language</label>
+                <select
+                  id="practice-language-select"
+                  value={language}
+                  onChange={(e) => handleLanguageChange(e.target.value)}
+                  className="text-sm border rounded px-2 py-1 bg-white"
+                >
+                  {LANGUAGES.map(lang => (
+                    <option key={lang.id} value={lang.id}>{lang.label}</option>
+                  ))}
+                </select>
+              </div>
+              <Editor
+                height="400px"
+                language={language}
+                path={`practice-${current}.${LANGUAGES.find(l => l.id === language).extension}`}
+                theme="monokai-dark"
+                beforeMount={handleEditorWillMount}
+                value={code}
+                onChange={(value) => updateItem(current, it => ({ answers: { ...it.answers, [language]: value } }))}
+                options={EDITOR_OPTIONS}
+              />
+            </div>
+
+            {latest && (
+              <div className="border-l-4 p-6 rounded shadow overflow-hidden bg-blue-50 border-blue-500">
+                <h3 className="font-bold mb-2 flex justify-between">
+                  <span>AI Feedback — Attempt {item.attempts.length}</span>
+                  <AttemptScore attempts={item.attempts} index={item.attempts.length - 1} />
+                </h3>
+                {latest.rubric ? (
+                  <div className="space-y-4">
+                    <RubricCard rubric={latest.rubric} />
+                    {latest.hiddenTests && <HiddenTestResults hiddenTests={latest.hiddenTests} />}
+                  </div>
+                ) : (
+                  <div className="prose prose-sm max-w-none break-words overflow-x-auto">
+                    <MarkdownRenderer content={latest.feedback} />
+                  </div>
+                )}
+              </div>
+            )}
+
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="w-full py-4 bg-green-600 text-white rounded-lg font-bold flex items-center justify-center gap-2 hover:bg-green-700 disabled:bg-gray-400 transition-colors"
+            >
+              {submitting
+                ? <RefreshCw className="animate-spin" size={20} />
+                : <><Send size={20} /> {item.attempts.length ? 'Resubmit' : 'Submit Solution'}</>}
+            </button>
+          </div>
+
+          <aside className="col-span-12 lg:col-span-4 space-y-6">
+            <div className="bg-white rounded-lg shadow p-4">
+              <h3 className="font-semibold text-gray-700 mb-3">This Session</h3>
+              <div className="space-y-1">
+                {items.map((it, i) => (
+                  <button
+                    key={i}
+                    onClick={() => setCurrent(i)}
+                    className={`w-full flex justify-between text-sm px-2 py-1 rounded ${i === current ? 'bg-blue-50 text-blue-800' : 'hover:bg-gray-50'}`}
+                  >
+                    <span>{i + 1}. {it.problem.difficulty}</span>
+                    <span className="text-gray-500">
+                      {it.attempts.length
+                        ? `best ${bestScore(it.attempts)}/10 · ${it.attempts.length} attempt${it.attempts.length > 1 ? 's' : ''}`
+                        : 'unsubmitted'}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+            <AttemptHistory key={current} attempts={item.attempts} />
+            <TestCases
+              key={`tests-${current}`}
+              testCases={item.testCases}
+              onAdd={(tc) => updateItem(current, it => ({ testCases: [...it.testCases, tc] }))}
+              onDelete={(idx) => updateItem(current, it => ({
+                testCases: it.testCases.filter((_, i) => i !== idx),
+                testResults: null,
+              }))}
+              onRun={handleRunTests}
+              canRun={!!code}
+              results={item.testResults}
+              exampleFailures={parseProblemExamples(item.problem.problem, item.problem.func_signature).failures}
+            />
+          </aside>
+        </main>
+      )}
+    </div>
+  );
+};
+
+export default Practice;
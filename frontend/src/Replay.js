@@ -0,0 +1,47 @@
+import React, { useState, useRef } from 'react';
+import { ArrowLeft, Upload } from 'lucide-react';
+import ReplayPlayer from './ReplayPlayer';
+import { parseReplay } from './recording';
+
+// Replay page: open an exported recording and play it back
+const Replay = ({ onBack }) => {
+  const [replay, setReplay] = useState(null);
+  const fileInput = useRef(null);
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setReplay(parseReplay(await file.text()));
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to open recording: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen dark-dynamic-bg p-8">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div className="flex justify-between items-center">
+          <button onClick={onBack} className="flex items-center gap-2 px-4 py-2 bg-white rounded-lg shadow hover:bg-gray-50">
+            <ArrowLeft size={18} /> Back
+          </button>
+          <button onClick={() => fileInput.current.click()} className="flex items-center gap-2 px-4 py-2 bg-white rounded-lg shadow hover:bg-gray-50">
+            <Upload size={18} /> Open recording
+          </button>
+          <input ref={fileInput} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </div>
+        {replay ? (
+          <ReplayPlayer key={replay.exportedAt + replay.quizId} replay={replay} />
+        ) : (
+          <div className="bg-white rounded-lg shadow p-8 text-center text-gray-500">
+            Open a recording exported from a quiz's results page to replay how it was solved.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Replay;
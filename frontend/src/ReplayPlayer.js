@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import Editor from '@monaco-editor/react';
+import { Play, Pause, Download } from 'lucide-react';
+import MarkdownRenderer from './MarkdownRenderer';
+import { handleEditorWillMount, EDITOR_OPTIONS } from './editorConfig';
+import { buildTimeline, stateAt, downloadReplay } from './recording';
+import { formatDuration } from './timer';
+
+const SPEEDS = [1, 2, 4, 8, 16];
+const TICK_MS = 50;
+
+const markerLabel = (marker) => (
+  marker.kind === 'run' ? `${marker.passed}/${marker.total}` : marker.kind === 'submit' ? 'Submit' : 'Gave up'
+);
+
+const markerClass = (marker) => {
+  if (marker.kind === 'run') return marker.passed === marker.total ? 'bg-green-500' : 'bg-amber-500';
+  return marker.kind === 'submit' ? 'bg-blue-600' : 'bg-gray-500';
+};
+
+/**
+ * Replay a recorded quiz (see recording.js) in a read-only editor: play/pause,
+ * a scrub bar with markers at each test run and submission, and playback speed.
+ * `replay` is an export from createReplay or an imported file.
+ */
+const ReplayPlayer = ({ replay }) => {
+  const [problemIndex, setProblemIndex] = useState(0);
+  const [at, setAt] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(4);
+
+  const problem = replay.problems[problemIndex];
+  const timeline = useMemo(() => buildTimeline(problem?.events || []), [problem]);
+  const { code, language } = stateAt(timeline, at);
+
+  const selectProblem = (i) => {
+    setProblemIndex(i);
+    setAt(0);
+    setPlaying(false);
+  };
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const interval = setInterval(() => {
+      setAt(prev => Math.min(timeline.duration, prev + TICK_MS * speed));
+    }, TICK_MS);
+    return () => clearInterval(interval);
+  }, [playing, speed, timeline]);
+
+  useEffect(() => {
+    if (playing && at >= timeline.duration) setPlaying(false);
+  }, [playing, at, timeline]);
+
+  const togglePlaying = () => {
+    // Playing from the end starts over
+    if (!playing && at >= timeline.duration) setAt(0);
+    setPlaying(prev => !prev);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4 text-left">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+        <h3 className="font-semibold text-gray-700">Session Replay</h3>
+        <button
+          onClick={() => downloadReplay({ ...replay, exportedAt: new Date().toISOString() })}
+          className="flex items-center gap-1 px-3 py-1 text-sm border rounded hover:bg-gray-50"
+        >
+          <Download size={14} /> Export recording
+        </button>
+      </div>
+      {replay.problems.length > 1 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {replay.problems.map((p, i) => (
+            <button
+              key={i}
+              onClick={() => selectProblem(i)}
+              className={`px-3 py-1 rounded text-sm ${i === problemIndex ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            >
+              {i + 1}. {p.difficulty}
+            </button>
+          ))}
+        </div>
+      )}
+      {problem?.problem && (
+        <details className="mb-3 bg-gray-50 rounded p-3">
+          <summary className="cursor-pointer text-sm font-medium">Problem</summary>
+          <div className="mt-2 prose prose-sm max-w-none break-words overflow-x-auto">
+            <MarkdownRenderer content={problem.problem} />
+          </div>
+        </details>
+      )}
+      {timeline.frames.length === 0 ? (
+        <p className="text-sm text-gray-500">Nothing was recorded for this problem.</p>
+      ) : (
+        <>
+          <div className="rounded overflow-hidden">
+            <Editor
+              height="360px"
+              language={language}
+              theme="monokai-dark"
+              beforeMount={handleEditorWillMount}
+              value={code}
+              options={{ ...EDITOR_OPTIONS, readOnly: true }}
+            />
+          </div>
+          <div className="relative h-6 mt-3">
+            {timeline.markers.map((marker, i) => (
+              <button
+                key={i}
+                onClick={() => setAt(marker.at)}
+                title={`${marker.kind === 'run' ? 'Run Tests' : markerLabel(marker)} at ${formatDuration(marker.at / 1000)}`}
+                className={`absolute -translate-x-1/2 px-1 rounded text-xs text-white ${markerClass(marker)}`}
+                style={{ left: `${timeline.duration ? (marker.at / timeline.duration) * 100 : 0}%` }}
+              >
+                {markerLabel(marker)}
+              </button>
+            ))}
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={timeline.duration}
+            step={100}
+            value={at}
+            onChange={(e) => setAt(Number(e.target.value))}
+            className="w-full"
+            aria-label="Replay position"
+          />
+          <div className="flex items-center gap-3 text-sm">
+            <button
+              onClick={togglePlaying}
+              className="flex items-center gap-1 px-3 py-1 bg-blue-600 text-white rounded hover:bg-blue-700"
+            >
+              {playing ? <><Pause size={14} /> Pause</> : <><Play size={14} /> Play</>}
+            </button>
+            <span className="font-mono text-gray-600">
+              {formatDuration(at / 1000)} / {formatDuration(timeline.duration / 1000)}
+            </span>
+            <label className="ml-auto flex items-center gap-1 text-gray-600">
+              Speed
+              <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="border rounded px-1 py-0.5 bg-white">
+                {SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+              </select>
+            </label>
+          </div>
+          <p className="text-xs text-gray-400 mt-2">Pauses longer than a few seconds are shortened.</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReplayPlayer;
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { FileText, FileCode, Printer, RefreshCw } from 'lucide-react';
+import { downloadReportMarkdown, downloadReportHtml, printReport } from './report';
+
+const FORMATS = [
+  { key: 'markdown', label: 'Markdown', icon: FileText, run: downloadReportMarkdown },
+  { key: 'html', label: 'HTML', icon: FileCode, run: downloadReportHtml },
+  { key: 'pdf', label: 'PDF', icon: Printer, run: printReport, title: 'Opens the print dialog; choose "Save as PDF"' },
+];
+
+/**
+ * "Export report" buttons for a finished quiz. `quiz` is a history record
+ * (see report.js for what goes into the report).
+ */
+const ReportExport = ({ quiz }) => {
+  const [exporting, setExporting] = useState(null);
+
+  const handleExport = async (format) => {
+    setExporting(format.key);
+    try {
+      await format.run(quiz);
+    } catch (error) {
+      console.error('ERROR', error);
+      alert(`Failed to export report: ${error.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">Export report:</span>
+      {FORMATS.map(format => {
+        const Icon = format.icon;
+        return (
+          <button
+            key={format.key}
+            onClick={() => handleExport(format)}
+            disabled={!!exporting}
+            title={format.title}
+            className="flex items-center gap-1 px-3 py-1 border rounded hover:bg-gray-50 disabled:opacity-50"
+          >
+            {exporting === format.key ? <RefreshCw className="animate-spin" size={14} /> : <Icon size={14} />}
+            {format.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ReportExport;
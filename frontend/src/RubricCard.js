@@ -0,0 +1,118 @@
+import React from 'react';
+import { CheckCircle, AlertTriangle, XCircle, Lightbulb } from 'lucide-react';
+import MarkdownRenderer from './MarkdownRenderer';
+
+// Sub-scores returned by the grader (backend RUBRIC_CRITERIA), in display order
+export const RUBRIC_CRITERIA = [
+  { key: 'correctness', label: 'Correctness' },
+  { key: 'efficiency', label: 'Efficiency' },
+  { key: 'code_quality', label: 'Code quality' },
+  { key: 'edge_cases', label: 'Edge-case handling' },
+];
+
+const ISSUE_STYLES = {
+  error: { icon: XCircle, className: 'text-red-600' },
+  warning: { icon: AlertTriangle, className: 'text-yellow-600' },
+  suggestion: { icon: Lightbulb, className: 'text-blue-600' },
+};
+
+const barColor = (score) => (score >= 8 ? 'bg-green-500' : score >= 5 ? 'bg-yellow-500' : 'bg-red-500');
+
+const issueLocation = (issue) => {
+  if (!issue.line) return null;
+  return issue.end_line && issue.end_line !== issue.line ? `Lines ${issue.line}-${issue.end_line}` : `Line ${issue.line}`;
+};
+
+/**
+ * Structured grading result: overall score, per-criterion bars, complexity,
+ * strengths and issues. Issues tied to lines call onIssueClick (when given) so
+ * the editor can highlight them; activeIssue is the one currently highlighted.
+ */
+const RubricCard = ({ rubric, onIssueClick, activeIssue }) => (
+  <div className="space-y-4">
+    <div className="flex items-start gap-4">
+      <div className="shrink-0 text-center">
+        <div className="text-3xl font-bold text-blue-700">{rubric.score}/10</div>
+        {rubric.hidden_tests && (
+          <div className="text-xs text-gray-500" title="Combined from the grader's score and the hidden test pass rate">
+            grader {rubric.ai_score} · tests {rubric.hidden_tests.passed}/{rubric.hidden_tests.total}
+          </div>
+        )}
+      </div>
+      <div className="prose prose-sm max-w-none break-words overflow-x-auto">
+        <MarkdownRenderer content={rubric.summary} />
+      </div>
+    </div>
+
+    <div className="space-y-2">
+      {RUBRIC_CRITERIA.map(({ key, label }) => {
+        const score = rubric.criteria?.[key] ?? 0;
+        return (
+          <div key={key}>
+            <div className="flex justify-between text-sm mb-1">
+              <span>{label}</span>
+              <span>{score}/10</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div className={`${barColor(score)} h-2 rounded-full transition-all`} style={{ width: `${score * 10}%` }} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+
+    <div className="flex gap-4 text-sm">
+      <span>Time: <code className="font-mono">{rubric.time_complexity}</code></span>
+      <span>Space: <code className="font-mono">{rubric.space_complexity}</code></span>
+    </div>
+
+    {rubric.strengths?.length > 0 && (
+      <div>
+        <h4 className="font-semibold text-sm mb-1">Strengths</h4>
+        <ul className="space-y-1">
+          {rubric.strengths.map((strength, i) => (
+            <li key={i} className="flex items-start gap-2 text-sm">
+              <CheckCircle size={16} className="text-green-600 shrink-0 mt-0.5" />
+              <span>{strength}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+
+    {rubric.issues?.length > 0 && (
+      <div>
+        <h4 className="font-semibold text-sm mb-1">Issues</h4>
+        <ul className="space-y-1">
+          {rubric.issues.map((issue, i) => {
+            const style = ISSUE_STYLES[issue.severity] || ISSUE_STYLES.warning;
+            const Icon = style.icon;
+            const location = issueLocation(issue);
+            const clickable = location && onIssueClick;
+            return (
+              <li key={i}>
+                <button
+                  onClick={() => onIssueClick(issue)}
+                  disabled={!clickable}
+                  className={`w-full flex items-start gap-2 text-sm text-left p-1 rounded ${
+                    clickable ? 'hover:bg-white cursor-pointer' : 'cursor-default'
+                  } ${activeIssue === issue ? 'bg-white ring-1 ring-blue-300' : ''}`}
+                >
+                  <Icon size={16} className={`${style.className} shrink-0 mt-0.5`} />
+                  <span className="min-w-0 break-words">
+                    {location && <span className="font-mono text-xs text-gray-500 mr-2">{location}</span>}
+                    <span className="prose prose-sm max-w-none inline-block">
+                      <MarkdownRenderer content={issue.message} />
+                    </span>
+                  </span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    )}
+  </div>
+);
+
+export default RubricCard;
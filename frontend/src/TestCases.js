@@ -0,0 +1,242 @@
+import React, { useState } from 'react';
+import { Play, RefreshCw, ChevronRight, ChevronDown, Plus, Trash2, Lock } from 'lucide-react';
+
+// Split two strings into a shared prefix/suffix and the differing middle of each,
+// enough to highlight where an actual output departs from the expected one
+const diffStrings = (expected, actual) => {
+  let prefix = 0;
+  while (prefix < expected.length && prefix < actual.length && expected[prefix] === actual[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < expected.length - prefix &&
+    suffix < actual.length - prefix &&
+    expected[expected.length - 1 - suffix] === actual[actual.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  return {
+    prefix: expected.slice(0, prefix),
+    expected: expected.slice(prefix, expected.length - suffix),
+    actual: actual.slice(prefix, actual.length - suffix),
+    suffix: expected.slice(expected.length - suffix),
+  };
+};
+
+// "TypeError: bad operand" -> { type: 'TypeError', detail: 'bad operand' }
+const splitErrorMessage = (message) => {
+  const match = /^([A-Za-z_][\w.]*(?:Error|Exception|Interrupt|Exit)):\s*([\s\S]*)$/.exec(message || '');
+  return match ? { type: match[1], detail: match[2] } : { type: null, detail: message || 'Unknown error' };
+};
+
+// Runtime and peak memory as measured by the backend's Python sandbox
+const formatRuntime = (ms) => (ms < 1000 ? `${ms < 10 ? ms.toFixed(2) : Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`);
+const formatMemory = (kb) => (kb < 1024 ? `${kb} KB` : `${(kb / 1024).toFixed(1)} MB`);
+
+const TEST_STATUS_STYLES = {
+  passed: { label: 'PASS', className: 'bg-green-100 text-green-700' },
+  failed: { label: 'FAIL', className: 'bg-red-100 text-red-700' },
+  error: { label: 'ERROR', className: 'bg-orange-100 text-orange-700' },
+  executed: { label: 'RAN', className: 'bg-gray-200 text-gray-700' },
+};
+
+// Expected vs. actual, with the differing part of each highlighted
+const OutputDiff = ({ expected, actual }) => {
+  const diff = diffStrings(expected, actual);
+  return (
+    <div className="space-y-1">
+      <div>
+        <span className="text-gray-500">Expected: </span>
+        <span className="whitespace-pre-wrap break-all">
+          {diff.prefix}<span className="bg-green-200">{diff.expected}</span>{diff.suffix}
+        </span>
+      </div>
+      <div>
+        <span className="text-gray-500">Actual: </span>
+        <span className="whitespace-pre-wrap break-all">
+          {diff.prefix}<span className="bg-red-200">{diff.actual}</span>{diff.suffix}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// Detail view for a single test result
+const TestResultDetail = ({ testCase, result }) => {
+  const error = result.status === 'error' ? splitErrorMessage(result.message) : null;
+  return (
+    <div className="mt-2 pt-2 border-t border-gray-200 space-y-1">
+      <div className="break-all"><span className="text-gray-500">Input: </span>{testCase.input}</div>
+      {error ? (
+        <div className="text-orange-700 whitespace-pre-wrap break-all">
+          {error.type && <span className="font-bold">{error.type}: </span>}
+          {error.detail}
+        </div>
+      ) : result.status === 'failed' ? (
+        <OutputDiff expected={testCase.expected} actual={result.output ?? ''} />
+      ) : (
+        <div className="break-all"><span className="text-gray-500">Output: </span>{result.output}</div>
+      )}
+      {result.runtime_ms !== undefined && (
+        <div className="text-gray-500">
+          Runtime: {formatRuntime(result.runtime_ms)} · Peak memory: {formatMemory(result.peak_memory_kb)}
+        </div>
+      )}
+      {result.logs && (
+        <div>
+          <span className="text-gray-500">Console:</span>
+          <pre className="mt-1 p-2 bg-gray-800 text-gray-100 rounded whitespace-pre-wrap break-all">{result.logs}</pre>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Hidden test breakdown shown after submitting; inputs are only known to the client from here on.
+// Practice results carry only the counts (no `results`).
+export const HiddenTestResults = ({ hiddenTests }) => {
+  const [open, setOpen] = useState(false);
+  const [expanded, setExpanded] = useState({});
+  const { passed, total, results = [] } = hiddenTests;
+  return (
+    <div className="bg-white rounded p-3 text-sm">
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        disabled={!results.length}
+        className="w-full flex items-center gap-2 text-left"
+      >
+        {results.length > 0 && (open ? <ChevronDown size={16} /> : <ChevronRight size={16} />)}
+        <span className="font-semibold">{passed}/{total} hidden tests passed</span>
+        <div className="flex-1 bg-red-200 rounded-full h-2">
+          <div className="bg-green-500 h-2 rounded-full" style={{ width: `${total ? (passed / total) * 100 : 0}%` }} />
+        </div>
+      </button>
+      {open && (
+        <div className="mt-3 space-y-2">
+          {results.map((result, i) => {
+            const style = TEST_STATUS_STYLES[result.status] || TEST_STATUS_STYLES.error;
+            return (
+              <div key={i} className="p-2 bg-gray-50 rounded text-xs font-mono">
+                <button
+                  onClick={() => setExpanded(prev => ({ ...prev, [i]: !prev[i] }))}
+                  className="w-full flex justify-between items-center gap-2 text-left"
+                >
+                  <span className="flex items-center gap-1 min-w-0">
+                    {expanded[i] ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                    <span className="truncate">In: {result.input}</span>
+                  </span>
+                  <span className={`px-1.5 py-0.5 rounded font-bold shrink-0 ${style.className}`}>{style.label}</span>
+                </button>
+                {expanded[i] && <TestResultDetail testCase={result} result={result} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Test Case Component
+const TestCases = ({ testCases, onAdd, onDelete, onRun, canRun, results, exampleFailures = [] }) => {
+  const [input, setInput] = useState('');
+  const [expected, setExpected] = useState('');
+  const [expanded, setExpanded] = useState({});
+  const [running, setRunning] = useState(false);
+  const [runError, setRunError] = useState(null);
+  const handleAdd = () => {
+    if (input.trim()) {
+      onAdd({ input: input.trim(), expected: expected.trim() });
+      setInput(''); setExpected('');
+    }
+  };
+  const handleRun = async () => {
+    setRunning(true);
+    setRunError(null);
+    try {
+      await onRun();
+    } catch (error) {
+      console.error('ERROR', error);
+      setRunError(error.response?.data?.detail || error.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  // Results are matched to test cases by their 1-based test_num
+  const caseResults = {};
+  (results?.results || []).forEach((r) => {
+    caseResults[r.test_num - 1] = r;
+  });
+  const total = results?.total ?? 0;
+  const passed = results?.passed ?? 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <h3 className="font-semibold text-gray-700 mb-3">Test Cases</h3>
+      <div className="mb-4 p-3 bg-gray-50 rounded">
+        <input type="text" placeholder='Input: [1, 2]' value={input} onChange={(e) => setInput(e.target.value)} className="w-full p-2 border rounded mb-2 text-sm font-mono" />
+        <input type="text" placeholder="Expected output" value={expected} onChange={(e) => setExpected(e.target.value)} className="w-full p-2 border rounded mb-2 text-sm font-mono" />
+        <button onClick={handleAdd} className="flex items-center gap-1 px-3 py-1 bg-blue-500 text-white rounded text-sm"><Plus size={14} /> Add</button>
+      </div>
+      {results && total > 0 && (
+        <div className="mb-3">
+          <div className="flex justify-between text-sm mb-1">
+            <span>Passed</span>
+            <span>{passed}/{total}</span>
+          </div>
+          <div className="w-full bg-red-200 rounded-full h-2">
+            <div className="bg-green-500 h-2 rounded-full transition-all" style={{ width: `${(passed / total) * 100}%` }} />
+          </div>
+        </div>
+      )}
+      {runError && (
+        <div className="mb-3 p-2 bg-red-50 border border-red-200 rounded text-xs text-red-700 break-all">
+          Could not run tests: {runError}
+        </div>
+      )}
+      <div className="space-y-2 mb-4">
+        {testCases.map((tc, i) => {
+          const result = caseResults[i];
+          const style = result && (TEST_STATUS_STYLES[result.status] || TEST_STATUS_STYLES.error);
+          return (
+            <div key={i} className="p-2 bg-gray-50 rounded text-xs font-mono">
+              <div className="flex justify-between items-center gap-2">
+                <button
+                  onClick={() => setExpanded(prev => ({ ...prev, [i]: !prev[i] }))}
+                  disabled={!result}
+                  className="flex items-center gap-1 min-w-0 text-left"
+                >
+                  {result && (expanded[i] ? <ChevronDown size={14} /> : <ChevronRight size={14} />)}
+                  <span className="truncate">In: {tc.input}</span>
+                </button>
+                <div className="flex items-center gap-2 shrink-0">
+                  {style && <span className={`px-1.5 py-0.5 rounded font-bold ${style.className}`}>{style.label}</span>}
+                  {tc.sample ? (
+                    <span className="flex items-center gap-1 text-gray-400" title={`From Example ${tc.example}`}>
+                      <Lock size={12} /> Sample
+                    </span>
+                  ) : (
+                    <button onClick={() => onDelete(i)} className="text-red-500"><Trash2 size={14} /></button>
+                  )}
+                </div>
+              </div>
+              {result && expanded[i] && <TestResultDetail testCase={tc} result={result} />}
+            </div>
+          );
+        })}
+      </div>
+      {exampleFailures.length > 0 && (
+        <div className="mb-4 p-2 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800">
+          Couldn't turn Example {exampleFailures.map(f => f.example).join(', ')} into a test case — add {exampleFailures.length > 1 ? 'them' : 'it'} manually if needed.
+        </div>
+      )}
+      <button onClick={handleRun} disabled={!canRun || running || testCases.length === 0} className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-green-500 text-white rounded disabled:bg-gray-300">
+        {running ? <><RefreshCw className="animate-spin" size={16} /> Running...</> : <><Play size={16} /> Run Tests</>}
+      </button>
+    </div>
+  );
+};
+
+export default TestCases;
@@ -0,0 +1,122 @@
+import axios from 'axios';
+import { getFunctionSignature, transpileTypeScript } from './languages';
+import { runJsTests } from './jsTestRunner';
+import { getToken, clearAuth } from './auth';
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:8000';
+
+const authHeaders = () => {
+  const token = getToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Every API request carries the login token; a 401 means it expired or was revoked
+axios.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token && config.url?.startsWith(API_URL)) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+axios.interceptors.response.use(undefined, (error) => {
+  if (error.response?.status === 401 && getToken()) clearAuth();
+  return Promise.reject(error);
+});
+
+// True when a request got no response at all (offline, backend down), as opposed to an error reply
+export const isNetworkError = (error) => (
+  axios.isAxiosError(error) ? !error.response && error.code !== 'ERR_CANCELED' : error instanceof TypeError
+);
+
+/**
+ * Run test cases for a problem. Python runs on the backend; JavaScript runs in
+ * a Web Worker, and TypeScript is compiled in the browser and run as JavaScript.
+ * Resolves with { results, passed, total } either way.
+ */
+export const runTests = async (problem, language, code, testCases, monaco) => {
+  if (language === 'python') {
+    const res = await axios.post(`${API_URL}/quiz/run-tests`, {
+      code,
+      func_signature: getFunctionSignature(problem, language),
+      test_cases: testCases,
+      language
+    });
+    return res.data;
+  }
+
+  if (language === 'typescript') {
+    if (!monaco) throw new Error('Editor is still loading');
+    code = await transpileTypeScript(monaco, code);
+  }
+  const funcName = /function\s+(\w+)/.exec(getFunctionSignature(problem, 'javascript'))[1];
+  return runJsTests(code, funcName, testCases);
+};
+
+// Fetch a Server-Sent Events endpoint, throwing the server's error for a failed request
+const openEventStream = async (path, init) => {
+  const response = await fetch(`${API_URL}${path}`, { ...init, headers: { ...init.headers, ...authHeaders() } });
+  if (response.status === 401) clearAuth();
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.detail || `Request failed with status ${response.status}`);
+  }
+  return response;
+};
+
+// The JSON events of a Server-Sent Events response, as they arrive
+async function* readEvents(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    // Events are separated by a blank line; keep any trailing partial event for the next read
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const raw of events) {
+      const data = raw
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+/**
+ * POST to one of the Server-Sent Events feedback endpoints (/quiz/submit/stream,
+ * /quiz/give-up/stream) and report the response as it arrives: onChunk gets each
+ * piece of text, onScore the score as soon as the model has written it. Resolves
+ * with the final "done" event; pass an AbortSignal to cancel.
+ */
+export const streamFeedback = async (path, body, { onChunk, onScore, signal } = {}) => {
+  const response = await openEventStream(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+  for await (const event of readEvents(response)) {
+    if (event.type === 'chunk') onChunk?.(event.text);
+    else if (event.type === 'score') onScore?.(event.score);
+    else if (event.type === 'error') throw new Error(event.detail);
+    else if (event.type === 'done') return event;
+  }
+  throw new Error('Feedback stream ended before it finished');
+};
+
+/**
+ * Follow /pool/events: onStatus gets the pool status (with the generation log,
+ * for admins) straight away and again whenever it changes. Resolves if the
+ * server closes the stream; pass an AbortSignal to stop following it.
+ */
+export const followPoolStatus = async (onStatus, signal) => {
+  const response = await openEventStream('/pool/events', { signal });
+  for await (const event of readEvents(response)) {
+    if (event.type === 'pool') onStatus(event);
+  }
+};
@@ -0,0 +1,36 @@
+// The logged-in user and their API token, kept in localStorage so a reload stays
+// logged in. api.js attaches the token to every request and calls the listeners
+// registered with onLogout when the server rejects it.
+
+const AUTH_STORAGE_KEY = 'smarttalk.auth';
+
+const listeners = new Set();
+
+// { token, user: { username, role } } or null
+export const loadAuth = () => {
+  try {
+    const data = JSON.parse(window.localStorage.getItem(AUTH_STORAGE_KEY));
+    return data?.token && data?.user ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveAuth = (auth) => {
+  window.localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth));
+};
+
+export const clearAuth = () => {
+  window.localStorage.removeItem(AUTH_STORAGE_KEY);
+  listeners.forEach(listener => listener());
+};
+
+export const getToken = () => loadAuth()?.token || null;
+
+export const isAdmin = (auth) => auth?.user?.role === 'admin';
+
+// Call `listener` whenever the user is logged out; returns an unsubscribe function
+export const onLogout = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,56 @@
+// Shared Monaco editor setup for the quiz and practice views.
+
+// Define Monokai dark theme for Monaco editor
+export const handleEditorWillMount = (monaco) => {
+  monaco.editor.defineTheme('monokai-dark', {
+    base: 'vs-dark',
+    inherit: true,
+    rules: [
+      { token: 'comment', foreground: '75715E', fontStyle: 'italic' },
+      { token: 'keyword', foreground: 'F92672' },
+      { token: 'string', foreground: 'E6DB74' },
+      { token: 'number', foreground: 'AE81FF' },
+      { token: 'type', foreground: '66D9EF', fontStyle: 'italic' },
+      { token: 'class', foreground: 'A6E22E' },
+      { token: 'function', foreground: 'A6E22E' },
+      { token: 'variable', foreground: 'F8F8F2' },
+      { token: 'operator', foreground: 'F92672' },
+      { token: 'delimiter', foreground: 'F8F8F2' },
+      { token: 'constant', foreground: 'AE81FF' },
+      { token: 'decorator', foreground: 'F92672' },
+    ],
+    colors: {
+      'editor.background': '#272822',
+      'editor.foreground': '#F8F8F2',
+      'editor.lineHighlightBackground': '#3E3D32',
+      'editor.selectionBackground': '#49483E',
+      'editorCursor.foreground': '#F8F8F0',
+      'editorWhitespace.foreground': '#3B3A32',
+      'editorLineNumber.foreground': '#90908A',
+      'editorLineNumber.activeForeground': '#F8F8F2',
+      'editor.selectionHighlightBackground': '#49483E88',
+      'editorIndentGuide.background': '#3B3A32',
+      'editorIndentGuide.activeBackground': '#767771',
+      'editorWidget.background': '#1E1F1C',
+      'editorSuggestWidget.background': '#272822',
+      'editorSuggestWidget.border': '#75715E',
+      'scrollbarSlider.background': '#49483E80',
+      'scrollbarSlider.hoverBackground': '#49483EA0',
+      'scrollbarSlider.activeBackground': '#49483ECC',
+    },
+  });
+};
+
+// Editor options common to every editor; callers add readOnly
+export const EDITOR_OPTIONS = {
+  minimap: { enabled: false },
+  fontSize: 14,
+  smoothScrolling: true,
+  mouseWheelScrollSensitivity: 0.5,
+  cursorSmoothCaretAnimation: 'on',
+  cursorBlinking: 'smooth',
+  scrollBeyondLastLine: true,
+  padding: { top: 16, bottom: 16 },
+  lineHeight: 24,
+  fontFamily: "'Monaco', 'Menlo', 'Ubuntu Mono', 'Consolas', monospace",
+};
@@ -0,0 +1,221 @@
+// Client-side runner for JavaScript solutions. Each test case runs in a Web
+// Worker; results come back in the same shape as /quiz/run-tests so the test
+// panel can't tell the difference.
+
+const TEST_TIMEOUT_MS = 5000;
+
+// Tuples parsed from Python literals are arrays carrying this marker, so a
+// top-level tuple can be spread into arguments the way the backend does
+const TUPLE = Symbol('tuple');
+
+/**
+ * Parse a Python literal (numbers, strings, True/False/None, lists, tuples,
+ * dicts, sets) into a JS value. Throws SyntaxError on anything else.
+ */
+export const parsePythonLiteral = (text) => {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new SyntaxError(`${message} at position ${pos}`);
+  };
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const expect = (ch) => {
+    skipSpace();
+    if (text[pos] !== ch) fail(`Expected '${ch}'`);
+    pos++;
+  };
+
+  // Comma-separated values up to `close`; reports whether a trailing comma was seen
+  const parseItems = (close, parseItem) => {
+    const items = [];
+    let trailingComma = false;
+    skipSpace();
+    while (text[pos] !== close) {
+      items.push(parseItem());
+      skipSpace();
+      trailingComma = false;
+      if (text[pos] === ',') {
+        pos++;
+        trailingComma = true;
+        skipSpace();
+      } else if (text[pos] !== close) {
+        fail(`Expected ',' or '${close}'`);
+      }
+    }
+    pos++;
+    return { items, trailingComma };
+  };
+
+  const parseString = () => {
+    const quote = text[pos++];
+    let value = '';
+    while (pos < text.length && text[pos] !== quote) {
+      if (text[pos] === '\\') {
+        const next = text[pos + 1];
+        value += { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' }[next] ?? `\\${next}`;
+        pos += 2;
+      } else {
+        value += text[pos++];
+      }
+    }
+    if (pos >= text.length) fail('Unterminated string');
+    pos++;
+    return value;
+  };
+
+  const parseValue = () => {
+    skipSpace();
+    const ch = text[pos];
+    if (ch === '[') {
+      pos++;
+      return parseItems(']', parseValue).items;
+    }
+    if (ch === '(') {
+      pos++;
+      const { items, trailingComma } = parseItems(')', parseValue);
+      // "(x)" is just x; "(x,)" and "(x, y)" are tuples
+      if (items.length === 1 && !trailingComma) return items[0];
+      items[TUPLE] = true;
+      return items;
+    }
+    if (ch === '{') {
+      pos++;
+      skipSpace();
+      if (text[pos] === '}') {
+        pos++;
+        return {};
+      }
+      const start = pos;
+      parseValue();
+      skipSpace();
+      const isDict = text[pos] === ':';
+      pos = start;
+      if (!isDict) return new Set(parseItems('}', parseValue).items);
+      const entries = parseItems('}', () => {
+        const key = parseValue();
+        expect(':');
+        return [key, parseValue()];
+      }).items;
+      return Object.fromEntries(entries);
+    }
+    if (ch === '"' || ch === "'") return parseString();
+    const word = /^(?:True|False|None|-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?|-?inf)/.exec(text.slice(pos));
+    if (!word) fail('Unexpected token');
+    pos += word[0].length;
+    if (word[0] === 'True') return true;
+    if (word[0] === 'False') return false;
+    if (word[0] === 'None') return null;
+    return word[0].endsWith('inf') ? (word[0].startsWith('-') ? -Infinity : Infinity) : Number(word[0]);
+  };
+
+  const value = parseValue();
+  skipSpace();
+  if (pos < text.length) fail('Unexpected trailing input');
+  return value;
+};
+
+// Deep equality across arrays, plain objects, Sets and Maps
+export const deepEqual = (a, b) => {
+  if (Object.is(a, b) || a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (a instanceof Set || b instanceof Set) {
+    if (!(a instanceof Set && b instanceof Set) || a.size !== b.size) return false;
+    return [...a].every(x => [...b].some(y => deepEqual(x, y)));
+  }
+  if (a instanceof Map || b instanceof Map) {
+    if (!(a instanceof Map && b instanceof Map) || a.size !== b.size) return false;
+    return [...a].every(([k, v]) => b.has(k) && deepEqual(v, b.get(k)));
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(k => Object.prototype.hasOwnProperty.call(b, k) && deepEqual(a[k], b[k]));
+};
+
+// Readable output, formatted like the backend's json.dumps
+export const formatValue = (value) => {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Set) return `{${[...value].map(formatValue).join(', ')}}`;
+  if (value instanceof Map) return formatValue(Object.fromEntries(value));
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${formatValue(v)}`).join(', ')}}`;
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  return JSON.stringify(value) ?? String(value);
+};
+
+const createWorker = () => new Worker(new URL('./testRunner.worker.js', import.meta.url));
+
+// Run a single case, resolving with the worker's reply or a timeout marker
+const runInWorker = (worker, message) => new Promise((resolve) => {
+  const timer = setTimeout(() => resolve({ timedOut: true }), TEST_TIMEOUT_MS);
+  worker.onmessage = ({ data }) => {
+    if (data.id !== message.id) return;
+    clearTimeout(timer);
+    resolve(data);
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    clearTimeout(timer);
+    resolve({ ok: false, message: event.message || 'Worker crashed', logs: [] });
+  };
+  worker.postMessage(message);
+});
+
+/**
+ * Run test cases ({ input, expected } as Python literals) against a JavaScript
+ * solution. Resolves with { results, passed, total } like /quiz/run-tests.
+ */
+export const runJsTests = async (code, funcName, testCases) => {
+  let worker = createWorker();
+  const results = [];
+
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      const result = { test_num: i + 1, input: testCase.input, expected: testCase.expected };
+      results.push(result);
+
+      let args;
+      let expected;
+      try {
+        const parsed = parsePythonLiteral(testCase.input);
+        args = Array.isArray(parsed) && parsed[TUPLE] ? [...parsed] : [parsed];
+        if (testCase.expected) expected = parsePythonLiteral(testCase.expected);
+      } catch (error) {
+        result.status = 'error';
+        result.message = `SyntaxError: invalid test value: ${error.message}`;
+        continue;
+      }
+
+      const reply = await runInWorker(worker, { id: i, code, funcName, args });
+
+      if (reply.timedOut) {
+        // The worker may be stuck in an infinite loop; kill it and carry on with a fresh one
+        worker.terminate();
+        worker = createWorker();
+        result.status = 'error';
+        result.message = `Execution timed out (${TEST_TIMEOUT_MS / 1000}s limit)`;
+        continue;
+      }
+
+      if (reply.logs?.length) result.logs = reply.logs.join('\n');
+      if (!reply.ok) {
+        result.status = 'error';
+        result.message = reply.message;
+        continue;
+      }
+
+      result.output = formatValue(reply.output);
+      result.status = testCase.expected ? (deepEqual(reply.output ?? null, expected) ? 'passed' : 'failed') : 'executed';
+    }
+  } finally {
+    worker.terminate();
+  }
+
+  const passed = results.filter(r => r.status === 'passed').length;
+  return { results, passed, total: results.length };
+};
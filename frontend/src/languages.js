@@ -0,0 +1,156 @@
+// Languages the editor can solve in. Problems are generated with a Python
+// signature; JavaScript and TypeScript stubs are derived from it.
+import { splitTopLevel } from './problemExamples';
+
+export const LANGUAGES = [
+  { id: 'python', label: 'Python', extension: 'py' },
+  { id: 'javascript', label: 'JavaScript', extension: 'js' },
+  { id: 'typescript', label: 'TypeScript', extension: 'ts' },
+];
+
+export const DEFAULT_LANGUAGE = 'python';
+
+// Python type names -> TypeScript
+const SCALAR_TYPES = {
+  int: 'number', float: 'number', complex: 'number',
+  str: 'string', bool: 'boolean', None: 'null', NoneType: 'null',
+  Any: 'any', object: 'any',
+};
+const SEQUENCE_TYPES = ['List', 'list', 'Sequence', 'Iterable', 'Iterator', 'Deque', 'deque'];
+const SET_TYPES = ['Set', 'set', 'FrozenSet', 'frozenset'];
+const MAPPING_TYPES = ['Dict', 'dict', 'DefaultDict', 'defaultdict', 'Mapping', 'OrderedDict'];
+
+// Parse a Python annotation like "Optional[List[int]]" into { name, args } nodes
+const parseAnnotation = (text) => {
+  const tokens = text.match(/[A-Za-z_][\w.]*|\.\.\.|[[\],|]/g) || [];
+  let pos = 0;
+
+  const parseUnion = () => {
+    const options = [parseType()];
+    while (tokens[pos] === '|') {
+      pos++;
+      options.push(parseType());
+    }
+    return options.length === 1 ? options[0] : { name: 'Union', args: options };
+  };
+
+  const parseType = () => {
+    const name = tokens[pos++] || 'Any';
+    const args = [];
+    if (tokens[pos] === '[') {
+      pos++;
+      while (pos < tokens.length && tokens[pos] !== ']') {
+        if (tokens[pos] === ',') pos++;
+        else args.push(parseUnion());
+      }
+      pos++;
+    }
+    return { name: name.split('.').pop(), args };
+  };
+
+  return parseUnion();
+};
+
+const wrapIfUnion = (type) => (type.includes(' | ') ? `(${type})` : type);
+
+const annotationToTs = (node) => {
+  const { name, args } = node;
+  if (name in SCALAR_TYPES) return SCALAR_TYPES[name];
+  if (SEQUENCE_TYPES.includes(name)) return `${wrapIfUnion(args[0] ? annotationToTs(args[0]) : 'any')}[]`;
+  if (SET_TYPES.includes(name)) return `Set<${args[0] ? annotationToTs(args[0]) : 'any'}>`;
+  if (MAPPING_TYPES.includes(name)) {
+    const key = args[0] ? annotationToTs(args[0]) : 'string';
+    const value = args[1] ? annotationToTs(args[1]) : 'any';
+    return `Record<${key === 'number' ? 'number' : 'string'}, ${value}>`;
+  }
+  if (name === 'Tuple' || name === 'tuple') {
+    if (args.length === 2 && args[1].name === '...') return `${wrapIfUnion(annotationToTs(args[0]))}[]`;
+    return `[${args.map(annotationToTs).join(', ')}]`;
+  }
+  if (name === 'Optional') return `${annotationToTs(args[0])} | null`;
+  if (name === 'Union') return args.map(annotationToTs).join(' | ');
+  // Problem-specific classes (TreeNode, ListNode, ...) keep their names
+  return name;
+};
+
+export const pythonTypeToTs = (annotation) => (annotation ? annotationToTs(parseAnnotation(annotation)) : 'any');
+
+const toCamelCase = (name) => name.replace(/([a-z0-9])_+([a-z0-9])/gi, (_, a, b) => a + b.toUpperCase());
+
+const pythonLiteralToJs = (value) => value
+  .replace(/\bTrue\b/g, 'true')
+  .replace(/\bFalse\b/g, 'false')
+  .replace(/\bNone\b/g, 'null');
+
+/**
+ * Break a Python signature like "def two_sum(nums: List[int], k: int = 0) -> int:"
+ * into { name, params: [{ name, type, defaultValue }], returnType }.
+ */
+export const parsePythonSignature = (funcSignature) => {
+  const match = /def\s+(\w+)\s*\(([\s\S]*)\)\s*(?:->\s*([^:]+))?:?/.exec(funcSignature || '');
+  if (!match) return { name: 'solve', params: [], returnType: null };
+  const params = splitTopLevel(match[2])
+    .map((param) => {
+      const [, name, type, defaultValue] = /^\s*(\*{0,2}\w+)\s*(?::\s*([^=]+?))?\s*(?:=\s*(.+))?\s*$/.exec(param) || [];
+      return { name, type: type || null, defaultValue: defaultValue ?? null };
+    })
+    .filter(p => p.name && p.name !== 'self' && !p.name.startsWith('*'));
+  return { name: match[1], params, returnType: match[3] ? match[3].trim() : null };
+};
+
+// The signature line shown to the grader and used to find the function when running tests
+export const getFunctionSignature = (problem, language) => {
+  const funcSignature = problem?.func_signature || 'def solve():';
+  if (language === 'python') return funcSignature;
+
+  const { name, params, returnType } = parsePythonSignature(funcSignature);
+  const typed = language === 'typescript';
+  const args = params.map((p) => {
+    let arg = toCamelCase(p.name);
+    if (typed) arg += `: ${pythonTypeToTs(p.type)}`;
+    if (p.defaultValue !== null) arg += ` = ${pythonLiteralToJs(p.defaultValue)}`;
+    return arg;
+  });
+  const returns = typed ? `: ${returnType === 'None' ? 'void' : pythonTypeToTs(returnType)}` : '';
+  return `function ${toCamelCase(name)}(${args.join(', ')})${returns}`;
+};
+
+// Python helper classes are shown as a commented reference above JS/TS stubs
+const commentOut = (code) => code.trim().split('\n').map(line => `// ${line}`).join('\n');
+
+export const getStarterCode = (problem, language = DEFAULT_LANGUAGE) => {
+  const classDefs = problem?.class_definitions?.trim();
+  let code = '';
+
+  if (language === 'python') {
+    if (classDefs) code += classDefs + '\n\n';
+    return code + (problem?.func_signature || 'def solve():') + '\n    pass';
+  }
+
+  if (classDefs) code += `// Helper classes (Python reference):\n${commentOut(classDefs)}\n\n`;
+  if (language === 'javascript') {
+    const { params, returnType } = parsePythonSignature(problem?.func_signature);
+    const doc = params.map(p => ` * @param {${pythonTypeToTs(p.type)}} ${toCamelCase(p.name)}`);
+    if (returnType && returnType !== 'None') doc.push(` * @return {${pythonTypeToTs(returnType)}}`);
+    if (doc.length) code += `/**\n${doc.join('\n')}\n */\n`;
+  }
+  return code + `${getFunctionSignature(problem, language)} {\n  \n}\n`;
+};
+
+/**
+ * Compile TypeScript to JavaScript with Monaco's bundled TypeScript worker,
+ * so TS solutions can go through the JavaScript test runner.
+ */
+export const transpileTypeScript = async (monaco, code) => {
+  const model = monaco.editor.createModel(code, 'typescript');
+  try {
+    const getWorker = await monaco.languages.typescript.getTypeScriptWorker();
+    const worker = await getWorker(model.uri);
+    const output = await worker.getEmitOutput(model.uri.toString());
+    const js = output.outputFiles.find(f => f.name.endsWith('.js'));
+    if (!js) throw new Error('TypeScript compilation produced no output');
+    return js.text;
+  } finally {
+    model.dispose();
+  }
+};
@@ -0,0 +1,40 @@
+// IndexedDB, for data too big for localStorage or kept for working offline. Object stores:
+//   recordings  - the editing recordings of the quiz in progress (see quizStorage.js)
+//   quizzes     - the quiz kept for offline use, one per user (see offlineStore.js)
+//   submissions - answers submitted while offline, waiting to be sent for grading
+
+const DB_NAME = 'smarttalk';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('recordings', { keyPath: 'quizId' });
+        db.createObjectStore('quizzes', { keyPath: 'username' });
+        db.createObjectStore('submissions', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Run `action(store)` in a transaction on `storeName`; resolves with the request's result
+export const withStore = async (storeName, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
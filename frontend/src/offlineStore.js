@@ -0,0 +1,24 @@
+// IndexedDB storage for working offline (the stores are set up in localDb.js):
+//   quizzes     - one quiz per user, started on the server ahead of time (a /quiz/start
+//                 response), so a quiz can begin without a connection
+//   submissions - answers submitted while offline, waiting to be sent for grading
+
+import { withStore } from './localDb';
+
+export const getBufferedQuiz = (username) => withStore('quizzes', 'readonly', store => store.get(username));
+
+export const saveBufferedQuiz = (username, quiz) => (
+  withStore('quizzes', 'readwrite', store => store.put({ ...quiz, username, bufferedAt: new Date().toISOString() }))
+);
+
+export const deleteBufferedQuiz = (username) => withStore('quizzes', 'readwrite', store => store.delete(username));
+
+// item: { username, session_id, problem_index, code, language, give_up }
+export const queueSubmission = (item) => (
+  withStore('submissions', 'readwrite', store => store.add({ ...item, queuedAt: new Date().toISOString() }))
+);
+
+// Oldest first
+export const listQueuedSubmissions = () => withStore('submissions', 'readonly', store => store.getAll());
+
+export const deleteQueuedSubmission = (id) => withStore('submissions', 'readwrite', store => store.delete(id));
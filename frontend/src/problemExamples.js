@@ -0,0 +1,161 @@
+// Helpers for the **Example N:** blocks in generated problem text: normalising
+// them for display, and turning them into runnable sample test cases.
+
+/**
+ * Format problem text so that Examples, Input, Output, and Explanation
+ * each start on their own line with clear visual breaks.
+ */
+export const formatProblemExamples = (text) => {
+  if (!text) return text;
+
+  // Ensure **Example N:** always starts on a new line with a blank line before it
+  text = text.replace(/([^\n])\s*(\*\*Example\s*\d+)/g, '$1\n\n$2');
+
+  // Ensure Input: / Output: / Explanation: each start on their own line
+  // Handle both bold and non-bold variants
+  text = text.replace(/([^\n])\s*(\*?\*?Input\*?\*?\s*:)/g, '$1\n$2');
+  text = text.replace(/([^\n])\s*(\*?\*?Output\*?\*?\s*:)/g, '$1\n$2');
+  text = text.replace(/([^\n])\s*(\*?\*?Explanation\*?\*?\s*:)/g, '$1\n$2');
+
+  // Ensure **Constraints:** gets a blank line before it
+  text = text.replace(/([^\n])\s*(\*\*Constraints?\*?\*?\s*:)/g, '$1\n\n$2');
+
+  // Clean up triple+ newlines to just double
+  text = text.replace(/\n{3,}/g, '\n\n');
+
+  return text;
+};
+
+// Split on commas that aren't nested inside brackets or quotes
+export const splitTopLevel = (text) => {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\') {
+        current += ch + (text[i + 1] ?? '');
+        i++;
+        continue;
+      }
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if ('([{'.includes(ch)) {
+      depth++;
+    } else if (')]}'.includes(ch)) {
+      depth--;
+    } else if (ch === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+// Parameter names from a Python signature, e.g. "def f(self, nums: List[int], k: int = 0)" -> ['nums', 'k']
+export const getSignatureParams = (funcSignature) => {
+  const match = /def\s+\w+\s*\(([\s\S]*)\)/.exec(funcSignature || '');
+  if (!match) return [];
+  return splitTopLevel(match[1])
+    .map(param => param.split(/[:=]/)[0].trim())
+    .filter(name => name && name !== 'self' && !name.startsWith('*'));
+};
+
+// Strip markdown decoration (fences, backticks, bold, list bullets) around an example value
+const cleanExampleText = (text) => text
+  .split('\n')
+  .map(line => line.replace(/^\s*```\w*\s*$/, '').replace(/`/g, '').replace(/\*\*/g, '').replace(/^\s*[-*]\s+/, '').trim())
+  .filter(Boolean);
+
+// JSON-style literals -> Python ones
+const toPythonLiteral = (value) => value
+  .replace(/\btrue\b/g, 'True')
+  .replace(/\bfalse\b/g, 'False')
+  .replace(/\bnull\b/g, 'None')
+  .trim();
+
+// Cheap check that a value is a plain literal (numbers, strings, containers,
+// True/False/None) rather than prose the model wrapped around it
+const isPlainLiteral = (value) => {
+  if (!value) return false;
+  const stripped = value
+    .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '0')
+    .replace(/\b(?:True|False|None)\b/g, '0');
+  if (!/^[\s\d.,:\-+eE[\]{}()]*$/.test(stripped)) return false;
+  let depth = 0;
+  for (const ch of stripped) {
+    if ('([{'.includes(ch)) depth++;
+    if (')]}'.includes(ch)) depth--;
+    if (depth < 0) return false;
+  }
+  return depth === 0;
+};
+
+// "nums = [1,2], k = 3" -> "([1,2], 3)", the argument-tuple form run-tests expects.
+// A lone argument is passed bare unless it is itself a tuple, which would be unpacked.
+const exampleInputToArgs = (text, params) => {
+  const parts = splitTopLevel(text);
+  const hasNames = parts.every(part => /^\w+\s*=[^=]/.test(part));
+  let values;
+  if (hasNames) {
+    const assigned = {};
+    parts.forEach((part) => {
+      const [, name, value] = /^(\w+)\s*=\s*([\s\S]+)$/.exec(part);
+      assigned[name] = toPythonLiteral(value);
+    });
+    // Prefer signature order; fall back to the order the example lists them in
+    values = params.length && params.every(p => p in assigned)
+      ? params.map(p => assigned[p])
+      : Object.values(assigned);
+  } else {
+    values = [toPythonLiteral(text)];
+  }
+  if (params.length && values.length !== params.length) return null;
+  if (!values.every(isPlainLiteral)) return null;
+  if (values.length === 1) {
+    return values[0].startsWith('(') ? `(${values[0]},)` : values[0];
+  }
+  return `(${values.join(', ')})`;
+};
+
+/**
+ * Parse the problem's **Example N:** blocks into sample test cases.
+ * Returns { cases: [{ input, expected, sample, example }], failures: [{ example, text }] },
+ * where failures lists examples that couldn't be turned into a test case.
+ */
+export const parseProblemExamples = (problemText, funcSignature) => {
+  const cases = [];
+  const failures = [];
+  if (!problemText) return { cases, failures };
+
+  const params = getSignatureParams(funcSignature);
+  const text = formatProblemExamples(problemText);
+  const blocks = text.split(/\*\*Example\s*(\d+)[^\n]*\n/).slice(1);
+
+  for (let i = 0; i < blocks.length; i += 2) {
+    const example = Number(blocks[i]);
+    // Stop at the next section (e.g. **Constraints:**) so it isn't read as output
+    const body = blocks[i + 1].split(/\n\s*\*\*(?!Input|Output|Explanation)[A-Z]/)[0];
+    const inputMatch = /\*?\*?Input\*?\*?\s*:([\s\S]*?)\n\s*\*?\*?Output\*?\*?\s*:/.exec(body);
+    const outputMatch = /\*?\*?Output\*?\*?\s*:([\s\S]*?)(?:\n\s*\*?\*?Explanation\*?\*?\s*:|$)/.exec(body);
+
+    const inputLines = inputMatch ? cleanExampleText(inputMatch[1]) : [];
+    const outputLines = outputMatch ? cleanExampleText(outputMatch[1]) : [];
+    const input = inputLines.length ? exampleInputToArgs(inputLines.join(', '), params) : null;
+    const expected = outputLines.length ? toPythonLiteral(outputLines.join(' ')) : null;
+
+    if (input && expected && isPlainLiteral(expected)) {
+      cases.push({ input, expected, sample: true, example });
+    } else {
+      failures.push({ example, text: body.trim() });
+    }
+  }
+
+  return { cases, failures };
+};
@@ -0,0 +1,83 @@
+// Local record of completed quizzes, for the History view. Stored separately
+// from the in-progress session so finishing or discarding a quiz never touches it.
+
+const HISTORY_STORAGE_KEY = 'smarttalk.quizHistory';
+export const HISTORY_SCHEMA_VERSION = 1;
+
+const isQuizRecord = (quiz) => (
+  quiz && typeof quiz.id === 'string' && typeof quiz.completedAt === 'string' && Array.isArray(quiz.problems)
+);
+
+const byCompletedAt = (a, b) => a.completedAt.localeCompare(b.completedAt);
+
+export const loadHistory = () => {
+  try {
+    const raw = window.localStorage.getItem(HISTORY_STORAGE_KEY);
+    if (!raw) return [];
+    const data = JSON.parse(raw);
+    if (data?.version !== HISTORY_SCHEMA_VERSION || !Array.isArray(data.quizzes)) return [];
+    return data.quizzes.filter(isQuizRecord);
+  } catch (error) {
+    console.error('Failed to load quiz history:', error);
+    return [];
+  }
+};
+
+const saveHistory = (quizzes) => {
+  try {
+    window.localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ version: HISTORY_SCHEMA_VERSION, quizzes }));
+  } catch (error) {
+    console.error('Failed to save quiz history:', error);
+  }
+};
+
+// A finished quiz's record with the scores the server recorded (a /quiz/{id}/results
+// response) in place of the browser's, which has none for an answer whose feedback
+// stream was cancelled
+export const withServerResults = (quiz, results) => ({
+  ...quiz,
+  completedAt: results.completed_at || quiz.completedAt,
+  problems: quiz.problems.map((problem, i) => {
+    const result = results.problems[i];
+    if (!result?.submitted) return problem;
+    return {
+      ...problem,
+      score: result.final_score ?? 0,
+      gaveUp: result.gave_up,
+      hintPenalty: result.gave_up ? 0 : result.hint_penalty ?? 0,
+      hiddenTests: problem.hiddenTests || result.hidden_tests,
+    };
+  }),
+});
+
+// Add a completed quiz; a quiz already recorded under the same id is replaced
+export const addQuizToHistory = (quiz) => {
+  const quizzes = loadHistory().filter(q => q.id !== quiz.id);
+  quizzes.push(quiz);
+  quizzes.sort(byCompletedAt);
+  saveHistory(quizzes);
+  return quizzes;
+};
+
+export const exportHistory = () => JSON.stringify(
+  { version: HISTORY_SCHEMA_VERSION, exportedAt: new Date().toISOString(), quizzes: loadHistory() },
+  null,
+  2
+);
+
+/**
+ * Merge an exported history file into the local one. Quizzes are matched by id,
+ * so importing the same file twice is harmless. Returns { quizzes, imported }.
+ */
+export const importHistory = (text) => {
+  const data = JSON.parse(text);
+  if (data?.version !== HISTORY_SCHEMA_VERSION || !Array.isArray(data.quizzes)) {
+    throw new Error('Not a SmartTalk history export');
+  }
+  const incoming = data.quizzes.filter(isQuizRecord);
+  const merged = new Map(loadHistory().map(q => [q.id, q]));
+  incoming.forEach(q => merged.set(q.id, q));
+  const quizzes = [...merged.values()].sort(byCompletedAt);
+  saveHistory(quizzes);
+  return { quizzes, imported: incoming.length };
+};
@@ -0,0 +1,113 @@
+// Local persistence for an in-progress quiz so a refresh doesn't lose it.
+// A new field needs no version bump: resumeQuiz falls back to a default when a
+// session saved before it existed doesn't have it. Bump QUIZ_SCHEMA_VERSION only
+// when a released field changes shape, and migrate sessions saved with the old
+// version here; sessions saved with an unknown version are discarded rather
+// than half-restored.
+// Editing recordings grow with every keystroke, so they go to IndexedDB instead
+// (see localDb.js): running out of room there costs the replay, not the quiz.
+
+import { withStore } from './localDb';
+import { snapshotEvent } from './recording';
+import { DEFAULT_LANGUAGE } from './languages';
+
+const QUIZ_STORAGE_KEY = 'smarttalk.quizSession';
+export const QUIZ_SCHEMA_VERSION = 1;
+
+// Fields of App state that make up a quiz session
+const SESSION_FIELDS = [
+  'quizId',
+  'startedAt',
+  'problems',
+  'topics',
+  'currentIndex',
+  'answers',
+  'languages',
+  'submitted',
+  'pendingSync',
+  'scores',
+  'feedback',
+  'rubrics',
+  'hiddenTests',
+  'gaveUp',
+  'testCases',
+  'testResults',
+  'hints',
+  'hintPenalties',
+  'chats',
+  'timeLimit',
+  'elapsed',
+  'timeSpent',
+];
+
+export const loadQuizSession = () => {
+  try {
+    const raw = window.localStorage.getItem(QUIZ_STORAGE_KEY);
+    if (!raw) return null;
+    const data = JSON.parse(raw);
+    if (data?.version !== QUIZ_SCHEMA_VERSION || !Array.isArray(data.problems) || data.problems.length === 0) {
+      console.error('Discarding a saved quiz that can\'t be restored, schema version:', data?.version);
+      window.localStorage.removeItem(QUIZ_STORAGE_KEY);
+      return null;
+    }
+    return data;
+  } catch (error) {
+    console.error('Failed to load saved quiz:', error);
+    return null;
+  }
+};
+
+// The recordings last written, so an unchanged set isn't written again on every save
+let savedRecordings = null;
+
+export const saveQuizSession = (session) => {
+  if (session.recordings !== savedRecordings) {
+    savedRecordings = session.recordings;
+    // Only the quiz in progress has recordings, so saving one quiz's drops any other's
+    withStore('recordings', 'readwrite', (store) => {
+      store.clear();
+      return store.put({ quizId: session.quizId, recordings: session.recordings });
+    }).catch((error) => {
+      console.error('Failed to save recordings:', error);
+    });
+  }
+  try {
+    const data = { version: QUIZ_SCHEMA_VERSION, savedAt: new Date().toISOString() };
+    SESSION_FIELDS.forEach((field) => {
+      data[field] = session[field];
+    });
+    window.localStorage.setItem(QUIZ_STORAGE_KEY, JSON.stringify(data));
+  } catch (error) {
+    console.error('Failed to save quiz:', error);
+  }
+};
+
+// The recordings of a saved session. If they didn't make it to IndexedDB, each problem starts
+// again from its code as it was saved, since edits are replayed on top of a snapshot.
+export const loadQuizRecordings = async (session) => {
+  try {
+    const saved = await withStore('recordings', 'readonly', store => store.get(session.quizId));
+    if (saved) return saved.recordings;
+  } catch (error) {
+    console.error('Failed to load recordings:', error);
+  }
+  const t = Math.max(0, Date.now() - Date.parse(session.startedAt));
+  const recordings = {};
+  session.problems.forEach((_, i) => {
+    const language = session.languages?.[i] || DEFAULT_LANGUAGE;
+    recordings[i] = [snapshotEvent(t, language, session.answers?.[i]?.[language] ?? '')];
+  });
+  return recordings;
+};
+
+export const clearQuizSession = () => {
+  savedRecordings = null;
+  withStore('recordings', 'readwrite', store => store.clear()).catch((error) => {
+    console.error('Failed to clear recordings:', error);
+  });
+  try {
+    window.localStorage.removeItem(QUIZ_STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to clear saved quiz:', error);
+  }
+};
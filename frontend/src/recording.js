@@ -0,0 +1,128 @@
+// Keystroke recordings of a quiz, for replaying how each problem was solved.
+//
+// recordings[i] is problem i's event log. Events are compact arrays whose first
+// element is the time in ms since the quiz started:
+//   [t, 's', language, code]              snapshot of the whole buffer (start, language
+//                                          switch, or anything the edits can't explain)
+//   [t, 'e', [[offset, length, text]...]]  Monaco content changes
+//   [t, 'r', passed, total]                Run Tests
+//   [t, 'x', score]                        submitted (score before hint penalties)
+//   [t, 'g']                               gave up
+
+import { downloadText } from './report';
+
+export const REPLAY_FORMAT = 'smarttalk-replay';
+export const REPLAY_VERSION = 1;
+
+// Idle stretches longer than this are shortened to it on the replay timeline
+const MAX_IDLE_MS = 3000;
+// Keep a copy of the code every this many events so seeking doesn't replay from the start
+const CHECKPOINT_EVERY = 200;
+
+export const snapshotEvent = (t, language, code) => [t, 's', language, code];
+export const runEvent = (t, passed, total) => [t, 'r', passed, total];
+export const submitEvent = (t, score) => [t, 'x', score];
+export const giveUpEvent = (t) => [t, 'g'];
+
+// Apply Monaco changes (offsets into the text before the edit) to `code`
+export const applyChanges = (code, changes) => [...changes]
+  .sort((a, b) => b[0] - a[0])
+  .reduce((text, [offset, length, insert]) => text.slice(0, offset) + insert + text.slice(offset + length), code);
+
+/**
+ * The event for an editor change from `previous` to `value`: the edit itself,
+ * or a snapshot if replaying the edit wouldn't give `value` (e.g. several
+ * changes landed between renders).
+ */
+export const editEvent = (t, previous, value, monacoChanges, language) => {
+  const changes = (monacoChanges || []).map(c => [c.rangeOffset, c.rangeLength, c.text]);
+  return changes.length && applyChanges(previous, changes) === value
+    ? [t, 'e', changes]
+    : snapshotEvent(t, language, value);
+};
+
+/**
+ * Index a problem's events for playback. Timeline positions (`at`, `duration`)
+ * are in ms with idle gaps capped at MAX_IDLE_MS. Markers are the runs and
+ * submissions, for the scrub bar.
+ */
+export const buildTimeline = (events) => {
+  const frames = [];
+  const checkpoints = [];
+  let at = 0;
+  let code = '';
+  let language = 'python';
+  events.forEach((event, i) => {
+    if (i > 0) at += Math.min(Math.max(0, event[0] - events[i - 1][0]), MAX_IDLE_MS);
+    frames.push({ at, event });
+    if (event[1] === 's') [, , language, code] = event;
+    if (event[1] === 'e') code = applyChanges(code, event[2]);
+    if (i % CHECKPOINT_EVERY === 0) checkpoints.push({ index: i, code, language });
+  });
+  const markers = frames
+    .filter(({ event }) => ['r', 'x', 'g'].includes(event[1]))
+    .map(({ at: markerAt, event }) => ({
+      at: markerAt,
+      kind: { r: 'run', x: 'submit', g: 'give-up' }[event[1]],
+      passed: event[2],
+      total: event[3],
+    }));
+  return { frames, checkpoints, markers, duration: at };
+};
+
+// The editor's language and contents at timeline position `at`
+export const stateAt = (timeline, at) => {
+  const { frames, checkpoints } = timeline;
+  // Last frame at or before `at`
+  let lo = 0;
+  let hi = frames.length - 1;
+  let last = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (frames[mid].at <= at) {
+      last = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  if (last < 0) return { code: '', language: 'python' };
+
+  const checkpoint = checkpoints[Math.floor(last / CHECKPOINT_EVERY)];
+  let { code, language } = checkpoint;
+  for (let i = checkpoint.index + 1; i <= last; i++) {
+    const event = frames[i].event;
+    if (event[1] === 's') [, , language, code] = event;
+    if (event[1] === 'e') code = applyChanges(code, event[2]);
+  }
+  return { code, language };
+};
+
+// A quiz's recordings as a self-contained export
+export const createReplay = (quizId, problems, recordings) => ({
+  format: REPLAY_FORMAT,
+  version: REPLAY_VERSION,
+  quizId,
+  exportedAt: new Date().toISOString(),
+  problems: problems.map((p, i) => ({
+    difficulty: p.difficulty,
+    problem: p.problem,
+    func_signature: p.func_signature,
+    events: recordings[i] || [],
+  })),
+});
+
+const isEvent = (event) => Array.isArray(event) && typeof event[0] === 'number' && typeof event[1] === 'string';
+
+export const parseReplay = (text) => {
+  const data = JSON.parse(text);
+  if (data?.format !== REPLAY_FORMAT || data.version !== REPLAY_VERSION || !Array.isArray(data.problems)
+    || !data.problems.every(p => Array.isArray(p?.events) && p.events.every(isEvent))) {
+    throw new Error('Not a SmartTalk replay file');
+  }
+  return data;
+};
+
+export const downloadReplay = (replay) => {
+  downloadText(JSON.stringify(replay), 'application/json', `smarttalk-replay-${replay.exportedAt.slice(0, 10)}.json`);
+};
@@ -0,0 +1,241 @@
+// Mock interview report for a finished quiz, built from its history record (the
+// object App.js passes to addQuizToHistory). The Markdown version is the source:
+// the HTML version is that Markdown rendered by MarkdownRenderer (so code gets the
+// same okaidia highlighting as in the app) and saved as one self-contained page,
+// and the PDF is the HTML page opened with its print stylesheet.
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import MarkdownRenderer from './MarkdownRenderer';
+import { formatDuration } from './timer';
+
+const TEST_STATUS_LABELS = { passed: 'Pass', failed: 'Fail', error: 'Error', executed: 'Ran' };
+
+// Table cells can't hold pipes or line breaks
+const cell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+const codeCell = (text) => {
+  if (text === undefined || text === null || text === '') return '';
+  return String(text).includes('`') ? cell(text) : `\`${cell(text)}\``;
+};
+
+// A fenced block that survives backticks in the code itself
+const codeBlock = (code, language) => {
+  const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${language}\n${code}\n${fence}`;
+};
+
+const testTable = (rows) => [
+  '| # | Input | Expected | Output | Result |',
+  '|---|---|---|---|---|',
+  ...rows.map((row, i) => `| ${i + 1} | ${codeCell(row.input)} | ${codeCell(row.expected)} | ${
+    row.status === 'error' ? cell(row.message) : codeCell(row.output)
+  } | ${TEST_STATUS_LABELS[row.status] || cell(row.status)} |`),
+].join('\n');
+
+const testsSection = (problem) => {
+  const lines = [];
+  const hidden = problem.hiddenTests;
+  if (hidden?.total) {
+    lines.push(`**Hidden tests:** ${hidden.passed}/${hidden.total} passed`);
+    if (hidden.results?.length) lines.push('', testTable(hidden.results));
+  }
+  const run = problem.testResults;
+  const ownRows = (run?.results || []).filter(r => r.input !== undefined);
+  if (ownRows.length) {
+    // Local results are matched to the problem's test cases by their 1-based test_num
+    const rows = ownRows.map(r => ({ ...r, expected: r.expected ?? problem.testCases?.[r.test_num - 1]?.expected }));
+    if (lines.length) lines.push('');
+    lines.push(`**Last test run:** ${run.passed}/${run.total} passed`, '', testTable(rows));
+  }
+  return lines;
+};
+
+const problemScore = (problem) => (problem.gaveUp ? 'Gave up (0/10)' : `${problem.score || 0}/10`);
+
+const problemSection = (problem, i) => {
+  const language = problem.language || 'python';
+  const details = [language, `time ${formatDuration(problem.timeSpent)}`];
+  if (problem.hintPenalty > 0) details.push(`-${problem.hintPenalty} for hints`);
+  const lines = [
+    `## ${i + 1}. ${problem.difficulty}: ${problemScore(problem)}`,
+    '',
+    `*${details.join(' · ')}*`,
+    '',
+    '### Problem',
+    '',
+    problem.problem || '',
+    '',
+    '### Final code',
+    '',
+    codeBlock(problem.code || '', language),
+  ];
+  const tests = testsSection(problem);
+  if (tests.length) lines.push('', '### Test results', '', ...tests);
+  if (problem.hints?.length) {
+    lines.push('', '### Hints taken');
+    problem.hints.forEach((hint, h) => lines.push('', `**Hint ${h + 1}:** ${hint}`));
+  }
+  if (problem.feedback) {
+    lines.push('', problem.gaveUp ? '### Solution' : '### Feedback', '', problem.feedback);
+  }
+  return lines.join('\n');
+};
+
+export const reportTitle = (quiz) => `SmartTalk Interview Report: ${new Date(quiz.completedAt).toLocaleDateString()}`;
+
+export const buildReportMarkdown = (quiz) => {
+  const total = quiz.problems.reduce((sum, p) => sum + (p.score || 0), 0);
+  const totalTime = quiz.problems.reduce((sum, p) => sum + (p.timeSpent || 0), 0);
+  const summary = [
+    `**Score:** ${total}/${quiz.problems.length * 10}`,
+    `**Time:** ${formatDuration(totalTime)}${quiz.timeLimit ? ` of ${formatDuration(quiz.timeLimit.totalMinutes * 60)}` : ''}`,
+    `**Completed:** ${new Date(quiz.completedAt).toLocaleString()}`,
+  ];
+  if (quiz.topics?.length) summary.push(`**Topics:** ${quiz.topics.join(', ')}`);
+  return [
+    `# ${reportTitle(quiz)}`,
+    '',
+    summary.join(' · '),
+    '',
+    '| # | Difficulty | Language | Time | Hint penalty | Score |',
+    '|---|---|---|---|---|---|',
+    ...quiz.problems.map((p, i) => (
+      `| ${i + 1} | ${p.difficulty} | ${p.language || 'python'} | ${formatDuration(p.timeSpent)} | ${
+        p.hintPenalty ? `-${p.hintPenalty}` : ''
+      } | ${problemScore(p)} |`
+    )),
+    '',
+    ...quiz.problems.map((p, i) => `${problemSection(p, i)}\n`),
+  ].join('\n');
+};
+
+// The page's own styles: MarkdownRenderer's elements without Tailwind, and a print layout
+// with one problem per page
+const REPORT_CSS = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2937;
+  line-height: 1.55; max-width: 880px; margin: 2rem auto; padding: 0 1rem; }
+h1 { font-size: 1.8rem; margin-bottom: 0.5rem; }
+h2 { font-size: 1.4rem; margin-top: 2.5rem; padding-bottom: 0.3rem; border-bottom: 1px solid #e5e7eb; }
+h3 { font-size: 1.1rem; margin-top: 1.5rem; }
+table { border-collapse: collapse; margin: 0.75rem 0; font-size: 0.9rem; }
+th, td { border: 1px solid #d1d5db; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f3f4f6; }
+code.font-mono { background: #fce7f3; color: #be185d; padding: 0.1rem 0.35rem; border-radius: 0.25rem;
+  font-size: 0.875em; word-break: break-all; }
+code, pre { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+p { margin: 0 0 0.5rem; }
+p.text-blue-700 { color: #1d4ed8; font-weight: 600; margin: 1.25rem 0 0.25rem; }
+blockquote { border-left: 4px solid #d1d5db; margin: 0.5rem 0; padding-left: 1rem; color: #4b5563; }
+@page { margin: 1.5cm; }
+@media print {
+  body { max-width: none; margin: 0; padding: 0; }
+  h2 { break-before: page; }
+  h2, h3 { break-after: avoid; }
+  tr, li { break-inside: avoid; }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+}
+`;
+
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Font URLs in a stylesheet are relative to the stylesheet, or to the page for <style> tags
+const sheetBase = (rule) => rule.parentStyleSheet?.href || document.baseURI;
+
+/**
+ * The KaTeX rules from the app's own stylesheets, with each font's woff2 file
+ * embedded so math still renders when the page is opened on its own.
+ */
+const collectKatexCss = async () => {
+  const rules = [];
+  for (const sheet of Array.from(document.styleSheets)) {
+    let sheetRules;
+    try {
+      sheetRules = Array.from(sheet.cssRules);
+    } catch (error) {
+      continue; // cross-origin stylesheet: its rules can't be read
+    }
+    sheetRules
+      .filter(rule => rule.cssText.includes('katex') || rule.cssText.includes('KaTeX'))
+      .forEach(rule => rules.push(rule));
+  }
+  const css = await Promise.all(rules.map(async (rule) => {
+    if (rule.type !== CSSRule.FONT_FACE_RULE) return rule.cssText;
+    const woff2 = /url\(["']?([^"')]+\.woff2)["']?\)/.exec(rule.cssText);
+    if (!woff2) return rule.cssText;
+    const response = await fetch(new URL(woff2[1], sheetBase(rule)).href);
+    if (!response.ok) return '';
+    const src = `src: url("${await readAsDataUrl(await response.blob())}") format("woff2");`;
+    return rule.cssText.replace(/src:[^;]+;/, src);
+  }));
+  return css.join('\n');
+};
+
+const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * The report as a standalone HTML page: inline styles from the highlighter,
+ * KaTeX's CSS and fonts when there is math, and the print stylesheet. With
+ * `print`, the page opens the browser's print dialog (Save as PDF) once loaded.
+ */
+export const buildReportHtml = async (quiz, { print = false } = {}) => {
+  const body = renderToStaticMarkup(<MarkdownRenderer content={buildReportMarkdown(quiz)} />);
+  const katexCss = body.includes('class="katex') ? await collectKatexCss() : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(reportTitle(quiz))}</title>
+<style>${REPORT_CSS}${katexCss}</style>
+${print ? '<script>window.addEventListener("load", () => window.print());</script>' : ''}
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+};
+
+const reportFileName = (quiz, extension) => `smarttalk-report-${quiz.completedAt.slice(0, 10)}.${extension}`;
+
+// Save `text` as a file through the browser's downloads
+export const downloadText = (text, type, fileName) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadReportMarkdown = (quiz) => {
+  downloadText(buildReportMarkdown(quiz), 'text/markdown', reportFileName(quiz, 'md'));
+};
+
+export const downloadReportHtml = async (quiz) => {
+  downloadText(await buildReportHtml(quiz), 'text/html', reportFileName(quiz, 'html'));
+};
+
+/**
+ * Open the report in a new window and print it. The window has to be opened
+ * straight from the click (before anything async) or popup blockers stop it.
+ */
+export const printReport = async (quiz) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) throw new Error('The report window was blocked; allow pop-ups for this site');
+  try {
+    const html = await buildReportHtml(quiz, { print: true });
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+  } catch (error) {
+    printWindow.close();
+    throw error;
+  }
+};
@@ -0,0 +1,39 @@
+import { buildReportMarkdown } from './report';
+import { withServerResults } from './quizHistory';
+
+// The Markdown report doesn't render anything; keep react-markdown's ES modules out of jest
+jest.mock('./MarkdownRenderer', () => () => null);
+
+const quiz = {
+  id: 'quiz-1',
+  startedAt: '2026-01-01T10:00:00.000Z',
+  completedAt: '2026-01-01T10:30:00.000Z',
+  timeLimit: null,
+  topics: [],
+  problems: [
+    // Its feedback stream was cancelled, so the browser never saw a score
+    { difficulty: 'Easy', problem: 'Add two numbers.', language: 'python', code: 'pass', score: 0, gaveUp: false, hintPenalty: 0 },
+    { difficulty: 'Medium', problem: 'Reverse a list.', language: 'python', code: 'pass', score: 6, gaveUp: false, hintPenalty: 0 },
+  ],
+};
+
+const results = {
+  session_id: 'quiz-1',
+  completed_at: '2026-01-01T10:31:00.000Z',
+  problems: [
+    { index: 0, submitted: true, score: 8, final_score: 8, hint_penalty: 0, gave_up: false, hidden_tests: null },
+    { index: 1, submitted: true, score: 7, final_score: 6, hint_penalty: 1, gave_up: false, hidden_tests: null },
+  ],
+};
+
+test('the report takes problem scores from the server', () => {
+  const markdown = buildReportMarkdown(withServerResults(quiz, results));
+  expect(markdown).toContain('## 1. Easy: 8/10');
+  expect(markdown).toContain('## 2. Medium: 6/10');
+  expect(markdown).toContain('**Score:** 14/20');
+});
+
+test('a problem the server has no result for keeps its local score', () => {
+  const pending = { ...results, problems: [{ index: 0, submitted: false, final_score: null }, results.problems[1]] };
+  expect(withServerResults(quiz, pending).problems[0].score).toBe(0);
+});
@@ -0,0 +1,39 @@
+/* eslint-disable no-restricted-globals */
+// Runs one JavaScript test case per message. The main thread owns timeouts:
+// if a case overruns, it terminates this worker and starts a fresh one.
+
+const formatArg = (value) => {
+  if (typeof value === 'string') return value;
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+};
+
+const describeError = (error) => (error && error.name ? `${error.name}: ${error.message}` : String(error));
+
+self.onmessage = async ({ data }) => {
+  const { id, code, funcName, args } = data;
+  const logs = [];
+  const capture = (...values) => logs.push(values.map(formatArg).join(' '));
+  const sandboxConsole = { log: capture, info: capture, warn: capture, error: capture, debug: capture };
+
+  try {
+    // Shadow the worker globals the solution has no business touching
+    // eslint-disable-next-line no-new-func
+    const load = new Function(
+      'console', 'self', 'postMessage', 'close', 'importScripts', 'fetch', 'XMLHttpRequest', 'WebSocket',
+      `${code}\n;return typeof ${funcName} === 'function' ? ${funcName} : undefined;`
+    );
+    const fn = load(sandboxConsole);
+    if (!fn) {
+      self.postMessage({ id, ok: false, message: `ReferenceError: Function '${funcName}' not found`, logs });
+      return;
+    }
+    const output = await fn(...args);
+    self.postMessage({ id, ok: true, output, logs });
+  } catch (error) {
+    self.postMessage({ id, ok: false, message: describeError(error), logs });
+  }
+};
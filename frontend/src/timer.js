@@ -0,0 +1,32 @@
+// Helpers for timed interview mode.
+
+// Total minutes on offer, and each difficulty's relative weight when the total
+// is split into per-problem budgets
+export const TIME_LIMIT_OPTIONS = [45, 60, 90];
+export const DIFFICULTY_TIME_SHARE = { Easy: 0.15, Medium: 0.25, Hard: 0.3, Expert: 0.3 };
+
+// Seconds -> "m:ss" (or "h:mm:ss" past an hour)
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+const shareOf = (difficulty) => DIFFICULTY_TIME_SHARE[difficulty] ?? 1 / Object.keys(DIFFICULTY_TIME_SHARE).length;
+
+// Seconds allotted to a problem of the given difficulty in a quiz whose problems
+// have the given difficulties, or null if there is no per-problem budget
+export const getProblemBudget = (timeLimit, difficulty, difficulties) => {
+  if (!timeLimit?.perProblem) return null;
+  const totalShare = difficulties.reduce((sum, d) => sum + shareOf(d), 0);
+  return Math.round(timeLimit.totalMinutes * 60 * (shareOf(difficulty) / totalShare));
+};
+
+// 'ok' | 'warning' | 'critical' depending on how much of the limit is left
+export const getTimeLevel = (remaining, limit) => {
+  if (remaining <= limit * 0.05) return 'critical';
+  if (remaining <= limit * 0.2) return 'warning';
+  return 'ok';
+};
@@ -47,12 +47,12 @@ def main():
         print_color("No .env file found in backend/", Colors.YELLOW)
         print("Create backend/.env with: GOOGLE_API_KEY=your-key-here")
         
-        api_key = input("Enter your GOOGLE_API_KEY (or press Enter to skip): ").strip()
+        api_key = input("Enter your GOOGLE_API_KEY (or press Enter to run offline with the mock provider): ").strip()
         if api_key:
             env_file.write_text(f"GOOGLE_API_KEY={api_key}\n")
-            print_color("Created .env file", Colors.GREEN)
         else:
-            sys.exit(1)
+            env_file.write_text("LLM_PROVIDER=mock\n")
+        print_color("Created .env file", Colors.GREEN)
     
     check_requirements()
     